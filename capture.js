@@ -1,11 +1,12 @@
 /**
  * Swoogo Evidence Capture – Full Suite
  * -------------------------------------------------------------
- * Captures per registrant (saved into a folder named by Registrant ID):
- *  01) Attendance Status / Proof
- *  02) Contact Details
+ * Captures per registrant (saved into a folder named by Registrant ID), as defined by the
+ * evidence profile (profiles/default.json, or --profile <file.json|yaml>):
+ *  01) Attendance Status / Proof (the record's attendance tab)
+ *  02) Contact Details (the record's contact tab)
  *  03) Ticket & Email Delivery (best-effort)
- *  04) QR Code Ticket Email (best-effort)
+ *  04) Emails – every Send Email template preview (best-effort)
  *  05) Confirmation (email body only)
  *  06) Invoice (full page)
  *
@@ -13,132 +14,161 @@
  *  - Per-registrant directories by numeric `id`
  *  - Actions ▸ Confirmation / Invoice: extract href and navigate directly
  *  - Hide left navigation/sidebar before screenshots
+ *  - Run ledger (<out>/ledger.jsonl) + --resume to skip completed registrants/steps
+ *  - --concurrency N parallel browser contexts, --rate global navigation limit, graceful Ctrl+C
+ *  - manifest.json (SHA-256 per artifact + manifest hash) in every zip; `verify <zip>` re-checks it
+ *  - --sink local|s3|azure storage backends (client built lazily, only for the chosen sink)
+ *  - Retries with exponential backoff + jitter for navigation, each step and the upload
+ *  - Evidence steps (URL resolver, capture mode, output name) come from a JSON/YAML --profile
+ *  - Login-redirect detection before each capture: re-login and continue, or stop with --no-interactive
+ *  - Per-step content checks (registrant id/name, invoice fields, email text); --block-on-invalid
+ *  - Run report (JSON, CSV, HTML with thumbnails) in <out>/reports/<runId>, uploaded to the sink
+ *
+ *  - CLI subcommands (login / capture / verify), --headless, up-front validation, --help
+ *  - Every Send Email template captured to its own file (emailTemplates mode, --email-filter)
+ *  - Page source next to each screenshot: MHTML, email iframe HTML, plain text (--no-source to skip)
+ *  - Labelled fields (status, contact, registration type, invoice) → <regId>__fields.json + run fields.csv
+ *  - --event <id>: registrant list from the REST API or listing pages, with status/type/date filters
+ *  - --redaction-profile: second, masked capture of every step → redacted/<regId>.zip for external use
+ *  - --encrypt-key / --encrypt-password: zips streamed through AES-256-GCM (.zip.enc); `decrypt` command
+ *  - --blob-name template, --if-exists version|skip|overwrite, blob metadata + index tags
+ *  - --compare-with <runId|prefix>: pixel diff of each step against the prior zip, diff images in the report
+ *  - Page readiness (spinner, fetch/XHR, fonts, images, stable layout) instead of fixed sleeps; --ready-timeout
+ *  - `batch <jobs.yaml>`: several events (own input, profile, folder, sink) in one browser session
+ *  - 01 / 02 open their own tab of the registrant record (url.tab) and capture just its panel
+ *  - `serve`: local HTTP API + persistent job queue (<out>/queue.jsonl), one reused logged-in browser
  *
  * Usage
- *  1) npm init -y
- *     npm i -D playwright csv-parse
+ *  1) npm install
  *     npx playwright install chromium
  *
  *  2) Save a logged-in session:
- *     node swoogo_capture_registrant_assets.js --save-session --auth auth.json
+ *     node capture.js login --auth auth.json
  *
  *  3) CSV may have `registrant_url`, or (`id` + `eventId`) (or pass --eventId)
  *
  *  4) Run:
- *     node swoogo_capture_registrant_assets.js --in swoogoReg.csv --auth auth.json --out out --pdf --eventId 255274
+ *     node capture.js capture --in swoogoReg.csv --auth auth.json --out out --eventId 255274 --headless --pdf
+ *
+ *     or straight from the event, no CSV needed:
+ *     node capture.js capture --event 255274 --status registered --auth auth.json --out out --headless
+ *
+ *  5) Resume an interrupted run (same --out):
+ *     node capture.js capture --in swoogoReg.csv --auth auth.json --out out --eventId 255274 --resume
+ *
+ *  6) Several events in one go (see lib/jobs.js for the job file):
+ *     node capture.js batch jobs.yaml --auth auth.json --out out --headless
+ *
+ *  7) As a service other tools submit registrants to (see lib/api.js for the API):
+ *     node capture.js serve --port 8080 --auth auth.json --out out --eventId 255274 --headless --no-interactive
+ *
+ *  node capture.js --help lists every option.
  */
 
 const fs = require('fs');
 const path = require('path');
 const { chromium } = require('playwright');
 const { parse } = require('csv-parse/sync');
+const { openLedger } = require('./lib/ledger');
+const { createRateLimiter, runPool } = require('./lib/pool');
+const log = require('./lib/log');
+const { buildManifest, writeManifest, verifyZip } = require('./lib/manifest');
+const { createSink, expandBlobName, resolveBlobName, DEFAULT_BLOB_NAME } = require('./lib/sinks');
+const { withRetry } = require('./lib/retry');
+const { loadProfile, expandUrlPattern } = require('./lib/profile');
+const { createSessionGuard, isLoginPage, SessionExpiredError } = require('./lib/session');
+const { validateStep } = require('./lib/validate');
+const { waitForReady, summarizeReady, requestTracker } = require('./lib/ready');
+const { savePageSource } = require('./lib/source');
+const { extractFields, mergeFields, writeFieldsFile } = require('./lib/extract');
+const { loadRedactionProfile, applyRedactions, addCounts } = require('./lib/redact');
+const { createEncryption, encryptTo, decryptFile, isEncryptedFile, PASSWORD_ENV, KEY_PASSPHRASE_ENV } = require('./lib/encrypt');
+const {
+  hasApiCredentials, listRegistrantsFromApi, listRegistrantsFromListing, filterRegistrants, writeRegistrantList, registrantUrl,
+  registrantIdFromUrl, eventIdFromUrl,
+} = require('./lib/registrants');
+const { makeRunId, makeThumbnails, buildReport, writeReport, uploadReport } = require('./lib/report');
+const { createPriorLocator, compareRegistrant } = require('./lib/compare');
+const { parseCli, helpText, CliError } = require('./lib/cli');
+const { loadJobFile, writeBatchSummary, BATCH_BLOB_NAME } = require('./lib/jobs');
+const { openQueue } = require('./lib/queue');
+const { createApiServer, API_TOKEN_ENV } = require('./lib/api');
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 const safe  = (s) => (s || '').replace(/[<>:"/\\|?*\x00-\x1F]/g, '_').trim();
 
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const out = { in: null, auth: null, outDir: 'out', delay: 300, viewport: { width: 1600, height: 1200 }, saveSession: false, pdf: false, eventId: '' };
-  for (let i = 0; i < args.length; i++) {
-    const a = args[i];
-    if (a === '--in') out.in = args[++i];
-    else if (a === '--auth') out.auth = args[++i];
-    else if (a === '--out') out.outDir = args[++i];
-    else if (a === '--delay') out.delay = Number(args[++i] || out.delay);
-    else if (a === '--viewport') {
-      const [w, h] = (args[++i] || '').split('x').map(Number);
-      if (w && h) out.viewport = { width: w, height: h };
-    } else if (a === '--save-session') out.saveSession = true;
-    else if (a === '--pdf') out.pdf = true;
-    else if (a === '--eventId') out.eventId = String(args[++i] || '').trim();
-  }
-  return out;
-}
-
-// ---- Azure + zipping helpers ----
-const { BlobServiceClient } = require('@azure/storage-blob');
+// ---- Storage + zipping helpers ----
 const archiver = require('archiver');
 const os = require('os');
 const fsp = fs.promises;
+const REDACTED_DIR = 'redacted'; // redacted copy inside the registrant folder (--redaction-profile)
 
-function buildAzureContainerClient() {
-  const conn = process.env.AZURE_STORAGE_CONNECTION_STRING || '';
-  const container = process.env.AZURE_BLOB_CONTAINER || '';
-  const sasUrl = process.env.AZURE_BLOB_SAS_URL || ''; // optional
-
-  if (!container) {
-    throw new Error('AZURE_BLOB_CONTAINER is not set');
-  }
-
-  if (conn) {
-    const service = BlobServiceClient.fromConnectionString(conn);
-    return service.getContainerClient(container);
-  }
-  if (sasUrl) {
-    // Expecting full container SAS URL, e.g. https://<acct>.blob.core.windows.net/<container>?<sas>
-    return new BlobServiceClient(sasUrl).getContainerClient('');
-  }
-  throw new Error('Provide either AZURE_STORAGE_CONNECTION_STRING or AZURE_BLOB_SAS_URL');
-}
-
-// zip a folder to a .zip (returns the zip path)
-async function zipDirectory(dirPath, zipPath) {
+// zip a folder to a .zip (returns the zip path); ignore: globs relative to dirPath to leave out.
+// With encryption (lib/encrypt.js) the zip is streamed through the cipher, never written in plain.
+async function zipDirectory(dirPath, zipPath, { ignore = [], encryption = null } = {}) {
   await fsp.mkdir(path.dirname(zipPath), { recursive: true });
   return new Promise((resolve, reject) => {
-    const output = fs.createWriteStream(zipPath);
     const archive = archiver('zip', { zlib: { level: 9 } });
-
-    output.on('close', () => resolve(zipPath));
-    output.on('error', reject);
     archive.on('error', reject);
 
-    archive.pipe(output);
-    archive.directory(dirPath, false);
+    if (encryption) {
+      const { input, done } = encryptTo(encryption, zipPath);
+      done.then(resolve, reject);
+      archive.pipe(input);
+    } else {
+      const output = fs.createWriteStream(zipPath);
+      output.on('close', () => resolve(zipPath));
+      output.on('error', reject);
+      archive.pipe(output);
+    }
+    archive.glob('**/*', { cwd: dirPath, ignore, dot: true });
     archive.finalize();
   });
 }
 
-// upload a local file to Azure Blob Storage
-async function uploadZip(containerClient, localZipPath, blobName) {
-  const blockBlob = containerClient.getBlockBlobClient(blobName);
-  const stream = fs.createReadStream(localZipPath);
-  const stat = fs.statSync(localZipPath);
-  await blockBlob.uploadStream(stream, 4 * 1024 * 1024, 5, {
-    blobHTTPHeaders: { blobContentType: 'application/zip' },
-  });
-  return blockBlob.url;
-}
-
 // remove a directory recursively
 async function rimraf(dir) {
   try { await fsp.rm(dir, { recursive: true, force: true }); } catch {}
 }
 
-// Zip → Upload → Delete local
-async function uploadAndCleanupRegistrant(containerClient, regDir, blobName) {
-  const tmpZip = path.join(os.tmpdir(), `${blobName}`);
-  await zipDirectory(regDir, tmpZip);
-  const url = await uploadZip(containerClient, tmpZip, blobName);
-  await fsp.unlink(tmpZip).catch(() => {});
-  await rimraf(regDir);
-  return url;
+// metadata is also set as the blob's index tags
+async function zipAndUpload(sink, dir, blobName, retry, { metadata, ...zipOptions }) {
+  const tmpZip = path.join(os.tmpdir(), blobName.replace(/[\\/]/g, '_'));
+  await zipDirectory(dir, tmpZip, zipOptions);
+  const contentType = zipOptions.encryption ? 'application/octet-stream' : 'application/zip';
+  try {
+    return await withRetry(`upload ${blobName}`, () => sink.upload(tmpZip, blobName, { contentType, metadata, tags: metadata }), retry);
+  } finally {
+    await fsp.unlink(tmpZip).catch(() => {});
+  }
 }
 
-const containerClient = buildAzureContainerClient();
+// Zip → Upload → Delete local. With a redacted copy (regDir/redacted/), that folder becomes a
+// second zip (redactedBlobName) and is left out of the internal one. Both are encrypted if asked.
+async function uploadAndCleanupRegistrant(sink, regDir, blobName, retry, { redactedBlobName, encryption, metadata, redactedMetadata } = {}) {
+  const url = await zipAndUpload(sink, regDir, blobName, retry, { ignore: [`${REDACTED_DIR}/**`], encryption, metadata });
+  const redactedUrl = redactedBlobName
+    ? await zipAndUpload(sink, path.join(regDir, REDACTED_DIR), redactedBlobName, retry, { encryption, metadata: redactedMetadata })
+    : null;
+  await rimraf(regDir);
+  return { url, redactedUrl };
+}
 
 function readCsvRows(fp) {
   const raw = fs.readFileSync(fp, 'utf8');
   return parse(raw, { columns: true, skip_empty_lines: true, trim: true });
 }
 
-async function withBrowser(contextOptions, fn) {
-  const browser = await chromium.launch({ headless: false });
+async function withBrowser(contextOptions, fn, { headless = false } = {}) {
+  // handleSIGINT: false – Ctrl+C is ours (orderly shutdown), don't let Playwright kill the browser
+  const browser = await chromium.launch({ headless, handleSIGINT: false });
   try {
     const ctx = await browser.newContext(contextOptions);
     const page = await ctx.newPage();
     return await fn({ browser, ctx, page });
   } finally {
     await sleep(200);
+    await browser.close().catch(() => {});
   }
 }
 
@@ -205,38 +235,69 @@ async function restoreScrollableContainers(page) {
 
 async function captureFullPage(page, fileBase, { pdf = false } = {}) {
   await page.waitForLoadState('domcontentloaded');
-  await sleep(250);
   await hideLeftPanel(page);
   await expandScrollableContainers(page);
   await page.screenshot({ path: `${fileBase}.png`, fullPage: true });
   await restoreScrollableContainers(page);
   if (pdf) { try { await page.pdf({ path: `${fileBase}.pdf`, printBackground: true }); } catch {} }
-  console.log('  ✔', path.basename(fileBase) + '.png');
+  log.info('  ✔', path.basename(fileBase) + '.png');
 }
 
-async function captureConfirmationEmail(page, fileBaseDir, baseName) {
+// Email body from a confirmation-style page → <fileBase>_email.png (or <fileBase>_full.png fallback)
+async function captureConfirmationEmail(page, fileBase) {
   await page.waitForLoadState('domcontentloaded');
-  await sleep(350);
 
   const iframeLoc = page.locator('iframe');
   const emailCandidates = page.locator('[data-testid*="email" i], .email-body, .emailBody, .email, [class*="email" i], [id*="email" i]');
+  const emailShot = `${fileBase}_email.png`;
   let saved = false;
 
   if (await iframeLoc.count().catch(() => 0)) {
-    const p = path.join(fileBaseDir, `${baseName}__05_Confirmation_email.png`);
     const bodyLoc = page.frameLocator('iframe').first().locator('body');
-    try { await bodyLoc.screenshot({ path: p }); console.log('  ✔ 05_Confirmation_email.png'); saved = true; } catch {}
+    try { await bodyLoc.screenshot({ path: emailShot }); log.info('  ✔', path.basename(emailShot)); saved = true; } catch {}
   }
   if (!saved && await emailCandidates.count().catch(() => 0)) {
-    const p = path.join(fileBaseDir, `${baseName}__05_Confirmation_email.png`);
-    await emailCandidates.first().screenshot({ path: p });
-    console.log('  ✔ 05_Confirmation_email.png'); saved = true;
+    await emailCandidates.first().screenshot({ path: emailShot });
+    log.info('  ✔', path.basename(emailShot)); saved = true;
   }
   if (!saved) {
-    const p = path.join(fileBaseDir, `${baseName}__05_Confirmation_full.png`);
-    await page.screenshot({ path: p, fullPage: true });
-    console.warn('  ⚠ Could not isolate email body; saved full page instead');
+    await page.screenshot({ path: `${fileBase}_full.png`, fullPage: true });
+    log.warn('  ⚠ Could not isolate email body; saved full page instead');
+  }
+}
+
+// Single element (e.g. one panel) with the same clean-up as full-page captures.
+// panel: selector of the tab panel just opened – the element is looked up inside it, and is
+// the panel itself when the selector only matches panels (like the default profile's).
+// fallback: when the element never shows, save <fileBase>_full.png (and .pdf with pdf) instead of failing.
+async function captureElement(page, fileBase, selector, { panel = null, fallback = false, pdf = false } = {}) {
+  await page.waitForLoadState('domcontentloaded');
+  await hideLeftPanel(page);
+  await expandScrollableContainers(page);
+  let el = page.locator(selector).first();
+  if (panel) {
+    const inPanel = page.locator(panel).first().locator(selector).first();
+    el = (await inPanel.count().catch(() => 0)) ? inPanel : page.locator(panel).first();
+  }
+  try {
+    await el.waitFor({ state: 'visible', timeout: 10000 });
+  } catch (e) {
+    if (!fallback) throw e;
+    await restoreScrollableContainers(page);
+    log.warn(`  ⚠ ${panel || selector} not found; saving full page instead`);
+    return captureFullPage(page, `${fileBase}_full`, { pdf });
   }
+  await el.screenshot({ path: `${fileBase}.png` });
+  await restoreScrollableContainers(page);
+  log.info('  ✔', path.basename(fileBase) + '.png');
+}
+
+// PDF only (Chromium can only print to PDF when running headless)
+async function capturePdf(page, fileBase) {
+  await page.waitForLoadState('domcontentloaded');
+  await hideLeftPanel(page);
+  await page.pdf({ path: `${fileBase}.pdf`, printBackground: true });
+  log.info('  ✔', path.basename(fileBase) + '.pdf');
 }
 
 async function openActionsMenu(page) {
@@ -245,6 +306,33 @@ async function openActionsMenu(page) {
   await actionsBtn.click({ delay: 30 });
 }
 
+// A tab of the registrant record (Attendance, Contact, ...) whose label matches one of the
+// patterns: a role=tab, or a link/button of a .nav-tabs or role=tablist strip. Returns { href }
+// for tabs that are links to their own page, { click } for in-page tabs, or null when the record
+// has no such tab. `panel` is a selector for the panel the tab opens (its aria-controls, or the
+// #id it links to), null when the tab doesn't say.
+async function findRegistrantTab(page, patterns) {
+  const re = new RegExp(patterns.join('|'), 'i');
+  const candidates = [
+    page.getByRole('tab', { name: re }),
+    page.locator('.nav-tabs > li > a, .nav-tabs > li > button, .nav-tabs > a, .nav-tabs > button, [role="tablist"] a, [role="tablist"] button')
+      .filter({ hasText: re }),
+  ];
+  for (const loc of candidates) {
+    const tab = loc.first();
+    if (!(await tab.isVisible().catch(() => false))) continue;
+    const href = await tab.getAttribute('href').catch(() => null);
+    const controls = await tab.getAttribute('aria-controls').catch(() => null);
+    const target = controls || (href && /^#[^#\s]+$/.test(href) ? href.slice(1) : null);
+    const panel = target ? `[id="${target.replace(/["\\]/g, '\\$&')}"]` : null;
+    if (href && !/^(#|javascript:)/i.test(href)) {
+      try { return { href: new URL(href, page.url()).toString(), panel }; } catch { return { href, panel }; }
+    }
+    return { click: () => tab.click({ delay: 30 }), panel };
+  }
+  return null;
+}
+
 // Finds an anchor whose href contains any of the given substrings.
 // Returns an ABSOLUTE url (resolved against the current page) or null.
 async function findActionHrefByUrlContains(
@@ -254,18 +342,19 @@ async function findActionHrefByUrlContains(
   ) {
     const wanted = (Array.isArray(needles) ? needles : [needles]).map(s => String(s).toLowerCase());
   
-    // Ensure the Actions dropdown is in the DOM (if present)
+    const quickSel = wanted.map(n => `a[href*="${n}"]`).join(',');
+    const quick = page.locator(quickSel).first();
+
+    // Ensure the Actions dropdown is in the DOM (if present), and give the link a moment to show
     if (openActions) {
       const actionsBtn = page.getByRole('button', { name: /actions/i });
       if (await actionsBtn.isVisible().catch(() => false)) {
         await actionsBtn.click({ delay: 20 }).catch(() => {});
-        await page.waitForTimeout(150);
+        await quick.waitFor({ state: 'visible', timeout: 1000 }).catch(() => {});
       }
     }
   
     // Fast path: direct CSS substring search
-    const quickSel = wanted.map(n => `a[href*="${n}"]`).join(',');
-    const quick = page.locator(quickSel).first();
     if (await quick.isVisible().catch(() => false)) {
       const href = await quick.getAttribute('href').catch(() => null);
       if (href) { try { return new URL(href, page.url()).toString(); } catch { return href; } }
@@ -302,60 +391,84 @@ async function extractRegistrantName(page) {
   return 'registrant';
 }
 
-// Find a direct link (or form action) to the "Send Email" preview page
+// Find a direct link (or form action) to the "Send Email" preview page.
+// opts.templateId forces RegistrantEmailForm[type]; opts.fallbackTemplateId is only used
+// when the URL has to be built from the registrant URL.
 async function getSendEmailHref(page, opts) {
     const registrantUrl = (opts && opts.registrantUrl) || page.url();
+    const templateId = opts && opts.templateId ? String(opts.templateId) : '';
+    const fallbackTemplateId = (opts && opts.fallbackTemplateId) || templateId;
+    const withTemplate = (u) => {
+      if (!templateId) return u;
+      const url = new URL(u);
+      url.searchParams.set('RegistrantEmailForm[type]', templateId);
+      return url.toString();
+    };
   
     // 1) Try visible anchors
     const a = page.locator('a[href*="/loggedin/registrant/send-email"]').first();
     if (await a.count().catch(() => 0)) {
       const href = await a.getAttribute('href');
-      if (href) return new URL(href, page.url()).toString();
+      if (href) return withTemplate(new URL(href, page.url()).toString());
     }
   
     // 2) Try a form action
     const f = page.locator('form[action*="/loggedin/registrant/send-email"]').first();
     if (await f.count().catch(() => 0)) {
       const action = await f.getAttribute('action');
-      if (action) return new URL(action, page.url()).toString();
+      if (action) return withTemplate(new URL(action, page.url()).toString());
     }
   
-    // 3) Fallback: construct from the current registrant URL (uses default type=4840855)
+    // 3) Fallback: construct from the current registrant URL (uses the profile's fallback template)
     const idMatch = /[?&]id=(\d+)/.exec(registrantUrl);
     const eventMatch = /[?&]eventId=(\d+)/.exec(registrantUrl);
     const id = idMatch ? idMatch[1] : '';
     const eventId = eventMatch ? eventMatch[1] : '';
-    if (id && eventId) {
+    if (id && eventId && fallbackTemplateId) {
       return 'https://www.swoogo.com/loggedin/registrant/send-email'
         + '?eventId=' + encodeURIComponent(eventId)
         + '&id=' + encodeURIComponent(id)
-        + '&RegistrantEmailForm%5Btype%5D=4840855';
+        + '&RegistrantEmailForm%5Btype%5D=' + encodeURIComponent(fallbackTemplateId);
     }
     return null;
   }
   
+  // Email templates offered on the Send Email page (the RegistrantEmailForm[type] dropdown)
+  async function listEmailTemplates(page) {
+    return page.evaluate(() => {
+      const select = document.querySelector('select[name*="RegistrantEmailForm[type]"], select[name*="[type]"], select[id*="type" i]');
+      if (!select) return [];
+      return Array.from(select.options)
+        .filter((o) => o.value && !o.disabled)
+        .map((o) => ({ id: o.value, name: (o.textContent || '').replace(/\s+/g, ' ').trim() || o.value }));
+    });
+  }
+
   // Replace your current captureIframeBySrc with this version.
 // It reliably gets the iframe's contentFrame(), waits for it to fully load,
 // expands the document to its full height, then screenshots just the iframe HTML.
 
-async function captureIframeBySrc(page, srcKeyword, outputPath) {
+// opts.ready waits for the page (and the iframe's images) after the expansion; it defaults
+// to the readiness routine with its default timeout.
+async function captureIframeBySrc(page, srcKeyword, outputPath, { ready = (p) => waitForReady(p, { frameSrc: srcKeyword }) } = {}) {
 //async function captureEmailIframeFromSendEmail(page, outputPath) {
     // Wait until the preview iframe is attached
-    const iframeEl = await page.waitForSelector('iframe[src*="/frontend/preview/email"]', { timeout: 15000 });    
+    const iframeSel = `iframe[src*="${srcKeyword}"]`;
+    const iframeEl = await page.waitForSelector(iframeSel, { timeout: 15000 });    
     // Force the iframe element to expand taller (e.g. 1000px or auto)
-    await page.evaluate(() => {
-        const iframe = document.querySelector('iframe[src*="/frontend/preview/email"]');
+    await page.evaluate((sel) => {
+        const iframe = document.querySelector(sel);
         if (iframe) {
             iframe.style.height = "1000px";   // set CSS height
             iframe.removeAttribute("height"); // remove restrictive attribute if present
             }
-    });
+    }, iframeSel);
   
     const frame = await iframeEl.contentFrame();
     if (!frame) {
-        console.warn('⚠ Could not resolve contentFrame; fallback to full page screenshot');
+        log.warn('⚠ Could not resolve contentFrame; fallback to full page screenshot');
         await page.screenshot({ path: outputPath.replace(/.png$/, '__full.png'), fullPage: true });
-        return;
+        return false;
     }
     
     // Ensure the iframe document has loaded
@@ -377,13 +490,14 @@ async function captureIframeBySrc(page, srcKeyword, outputPath) {
         body.style.height = totalH + 'px';
     });
     
-    // Wait a little for lazy images to load
-    await frame.waitForTimeout(400);
+    // The taller iframe can pull in lazy images – wait for them to decode
+    await ready(page);
     
     // Screenshot just the iframe’s html root
     await frame.locator('html').screenshot({ path: outputPath });
     
-    console.log('✔ Full email captured →', outputPath);
+    log.info('✔ Full email captured →', outputPath);
+    return true;
     }
         
   // Capture ONLY the email content from the preview iframe on the Send Email page
@@ -418,165 +532,878 @@ async function captureIframeBySrc(page, srcKeyword, outputPath) {
     return true;
   }
   
-  async function waitForSpinnerGone(page, { timeout = 30000 } = {}) {
-    // Wait until #spinner-overlay is hidden (display: none or detached)
-    await page.waitForFunction(() => {
-      const el = document.querySelector('#spinner-overlay');
-      if (!el) return true;
-      const style = window.getComputedStyle(el);
-      return style.display === 'none' || style.visibility === 'hidden';
-    }, { timeout });
-  
-    // Give network a chance to settle
-    await page.waitForLoadState('networkidle').catch(() => {});
-    await sleep(300);
+// Ledger key and folder name of a registrant: its id, or <eventId>_<id> when the run's rows
+// come from more than one event (the same id can turn up in two events)
+function registrantKey(run, registrantUrl) {
+  const regId = registrantIdFromUrl(registrantUrl);
+  return run.multiEvent ? `${eventIdFromUrl(registrantUrl) || 'unknown'}_${regId}` : regId;
+}
+
+// --blob-name template → this registrant's blob name (".enc" appended for encrypted zips)
+function blobNameFor(run, registrantUrl, regId) {
+  const vars = { eventId: eventIdFromUrl(registrantUrl), regId, runId: run.runId, date: new Date().toISOString().slice(0, 10), profile: run.profile.name };
+  return expandBlobName(run.blobTemplate, vars) + (run.encryption ? '.enc' : '');
+}
+
+// Files under dir with their mtimes (used to see what a step wrote), keyed by relative path
+// ("redacted/x.png" for the redacted copy)
+function snapshotDir(dir, prefix = '', snap = new Map()) {
+  for (const e of fs.existsSync(dir) ? fs.readdirSync(dir, { withFileTypes: true }) : []) {
+    const fp = path.join(dir, e.name);
+    if (e.isDirectory()) { snapshotDir(fp, `${prefix}${e.name}/`, snap); continue; }
+    try { snap.set(prefix + e.name, fs.statSync(fp).mtimeMs); } catch {}
   }
-  
-  
-async function processRegistrant(page, registrantUrl, baseOutDir, delay, pdf, containerClient) {
-  console.log(`\n▶ ${registrantUrl}`);
-  await page.goto(registrantUrl, { waitUntil: 'domcontentloaded' });
-  await page.waitForLoadState('networkidle').catch(() => {});
-  await sleep(delay);
-
-  // Folder per registrant by numeric id
-  const idMatch = /[?&]id=(\d+)/.exec(registrantUrl);
-  const regId = idMatch ? idMatch[1] : 'unknown';
-  const regDir = path.join(baseOutDir, regId);
+  return snap;
+}
+
+// goto(url) → response for page: every navigation goes through the shared rate limit, is retried
+// on timeouts/network errors, and is checked for a login redirect (re-login, then load the same
+// URL again)
+function sessionGoto(page, { session, throttle, retry }) {
+  return (url) => withRetry(`goto ${url.replace(/^https?:\/\/[^/]+/, '')}`, async () => {
+    await session.ready();
+    await throttle();
+    let response = await page.goto(url, { waitUntil: 'domcontentloaded' });
+    if (await session.check(page, response)) {
+      await throttle();
+      response = await page.goto(url, { waitUntil: 'domcontentloaded' });
+      if (await isLoginPage(page, response)) throw new SessionExpiredError(`Still on the login page after re-login (${page.url()})`);
+    }
+    return response;
+  }, retry);
+}
+
+async function processRegistrant(page, registrantUrl, run) {
+  const { outDir: baseOutDir, delay, pdf, sink, ledger, resume, viewport, retry, profile, session, blockOnInvalid, thumbDir, emailFilter, source, redaction, encryption, ifExists, readyTimeout } = run;
+  const goto = sessionGoto(page, run);
+
+  // Page readiness (lib/ready.js) instead of fixed sleeps. While a profile step runs, waits use
+  // its timeout and are collected for the ledger – one that times out makes the step degraded.
+  let stepReady = null; // { timeout, spinners, waits }
+  async function ready(target, { frameSrc } = {}) {
+    const { timeout = readyTimeout, spinners } = stepReady || {};
+    const res = await waitForReady(target, { timeout, spinners, frameSrc });
+    if (stepReady) stepReady.waits.push(res);
+    else if (!res.ok) log.warn(`  ⚠ Page not ready after ${res.ms}ms (${res.timedOut.join(', ')}); continuing`);
+    return res;
+  }
+
+  log.info(`\n▶ ${registrantUrl}`);
+  requestTracker(page);
+  await goto(registrantUrl);
+  await ready(page);
+  if (delay) await sleep(delay);
+
+  // Folder per registrant by numeric id (<eventId>_<id> in runs over several events)
+  const regId = registrantIdFromUrl(registrantUrl);
+  const key = registrantKey(run, registrantUrl);
+  const regDir = path.join(baseOutDir, key);
   fs.mkdirSync(regDir, { recursive: true });
 
-  const name = await extractRegistrantName(page);
+  const extractedName = await extractRegistrantName(page);
+  const name = extractedName === 'registrant' ? null : extractedName;
   const baseName = safe(`${regId}`);
 
-  // 01) Attendance Status / Proof
-  await captureFullPage(page, path.join(regDir, `${baseName}__01_Attendance_Status_Proof`), { pdf });
+  // Runs one evidence step (retried per the retry policy) and records its outcome, the
+  // files it wrote, its content checks, extracted fields, redaction counts and page readiness
+  // in the ledger. fn returns a status or { status, validation, fields, redactions, readiness }.
+  // With --resume, steps already recorded as ok whose files are still present are skipped.
+  async function runStep(step, label, fn) {
+    // a step done before --redaction-profile was added has no redacted copy yet
+    if (resume && ledger.isStepDone(key, step, regDir) && (!redaction || ledger.get(key).steps[step].redactions)) {
+      log.info(`  ↷ ${step}) ${label} already captured`);
+      return;
+    }
+    const before = snapshotDir(regDir);
+    const t0 = Date.now();
+    try {
+      const res = await withRetry(`${step}) ${label}`, fn, retry);
+      const { status = 'ok', validation, fields, redactions, readiness } = res && typeof res === 'object' ? res : { status: res || 'ok' };
+      const files = [...snapshotDir(regDir)].filter(([f, m]) => before.get(f) !== m).map(([f]) => f);
+      const degraded = !!(readiness && readiness.timedOut.length);
+      if (degraded) log.warn(`  ⚠ ${step}) ${label}: captured before the page was ready (${readiness.timedOut.join(', ')} timed out) – degraded`);
+      ledger.record(key, {
+        url: registrantUrl, step, status, degraded: degraded || undefined, files, validation, fields, redactions,
+        ready: readiness, sourceUrl: page.url(), ms: Date.now() - t0,
+      });
+    } catch (e) {
+      if (e instanceof SessionExpiredError) throw e;
+      log.warn(`  ⚠ ${step}) ${label} failed:`, e?.message || e);
+      ledger.record(key, { url: registrantUrl, step, status: 'failed', error: String(e?.message || e), ms: Date.now() - t0 });
+    }
+  }
 
-  // 02) Contact Details
-  await captureFullPage(page, path.join(regDir, `${baseName}__02_Contact_Details`), { pdf });
+  // Where each profile step's page comes from. Actions-menu and Send Email hrefs are read off the
+  // registrant view, so they're resolved (once) the first time a step needs one.
+  let resolved = null;
+  const sameUrl = (a, b) => { try { return new URL(a).href === new URL(b).href; } catch { return a === b; } };
+  let redactedDom = false; // the page was masked for the redacted copy and has to be reloaded
+  let tabOpen = false; // an in-page tab was switched; other steps expect the view as it loads
+  const onRegistrantPage = async () => {
+    const reload = redactedDom || tabOpen || !sameUrl(page.url(), registrantUrl);
+    if (reload) { redactedDom = false; tabOpen = false; await goto(registrantUrl); }
+    await ready(page); // also when it's already loaded, so the step's capture waits for it too
+    if (reload && delay) await sleep(delay);
+  };
+  async function resolveHrefs() {
+    if (resolved) return resolved;
+    await onRegistrantPage();
+    resolved = new Map();
+    for (const s of profile.steps) {
+      if (s.url.type === 'action') resolved.set(s.step, await findActionHrefByUrlContains(page, s.url.needles));
+      if (s.url.type === 'sendEmail') resolved.set(s.step, await getSendEmailHref(page, { registrantUrl, ...s.url }));
+    }
+    return resolved;
+  }
 
-  // Pull direct hrefs from Actions menu
-  const confirmationHref = await findActionHrefByUrlContains(page, ['confirmation']);
-  const invoiceHref = await findActionHrefByUrlContains(page, ['invoice']);
+  // url.tab: the section of the registrant record the step is about. Without the tab, the step
+  // captures the view as it is – an element capture with a fallback takes the full page, as
+  // whatever panel is open isn't the one the step is about.
+  // The panel the tab opened is what its element capture looks in.
+  let tabMissing = false;
+  let tabPanel = null;
+  async function openTab(patterns) {
+    const tab = await findRegistrantTab(page, patterns);
+    tabMissing = !tab;
+    tabPanel = tab ? tab.panel : null;
+    if (!tab) { log.warn(`  ⚠ No ${patterns.join(' / ')} tab on the registrant record; capturing the view as it is`); return; }
+    if (tab.href) await goto(tab.href);
+    else { tabOpen = true; await tab.click(); }
+    await ready(page);
+  }
 
-  // 05) Confirmation (email BODY)
-  if (confirmationHref) {
-    await page.goto(confirmationHref, { waitUntil: 'domcontentloaded' });
-    await waitForSpinnerGone(page).catch(() => {});
-    await captureConfirmationEmail(page, regDir, baseName);
-  } else {
-    console.warn('  ⚠ Could not resolve Confirmation URL from Actions; attempting click fallback.');
-    try {
-      await openActionsMenu(page);
-      const [popup] = await Promise.all([
-        page.waitForEvent('popup').catch(() => null),
-        page.waitForNavigation({ waitUntil: 'domcontentloaded' }).catch(() => null),
-        page.getByRole('menuitem', { name: /confirmation/i }).first().click({ delay: 30 }),
-      ]);
-      const target = popup || page;
-      await captureConfirmationEmail(target, regDir, baseName);
-      if (popup) await popup.close().catch(() => {});
-      await page.bringToFront();
-    } catch {}
+  // Navigates for the step; returns the page to capture from (a popup for menu-click fallbacks),
+  // or null when there's nothing to capture.
+  async function openStepPage(s) {
+    const u = s.url;
+    tabMissing = false;
+    tabPanel = null;
+    if (u.type === 'registrant') {
+      await onRegistrantPage();
+      if (u.tab) await openTab([].concat(u.tab));
+      return page;
+    }
+    if (u.type === 'url') {
+      await goto(expandUrlPattern(u.pattern, { id: regId, eventId: eventIdFromUrl(registrantUrl) }));
+      await ready(page, { frameSrc: s.capture.src });
+      return page;
+    }
+    const href = (await resolveHrefs()).get(s.step);
+    if (href) {
+      await goto(href);
+      await ready(page, { frameSrc: s.capture.src });
+      return page;
+    }
+    if (u.type === 'action' && u.menuItem) {
+      log.warn(`  ⚠ Could not resolve ${s.label} URL from Actions; attempting click fallback.`);
+      // the click's navigation bypasses goto, so it gets the same login check (and one more
+      // click after a re-login)
+      for (let relogged = false; ; relogged = true) {
+        await onRegistrantPage();
+        await openActionsMenu(page);
+        const [popup, response] = await Promise.all([
+          page.waitForEvent('popup').catch(() => null),
+          page.waitForNavigation({ waitUntil: 'domcontentloaded' }).catch(() => null),
+          page.getByRole('menuitem', { name: new RegExp(u.menuItem, 'i') }).first().click({ delay: 30 }),
+        ]);
+        const target = popup || page;
+        await ready(target, { frameSrc: s.capture.src });
+        if (!(await session.check(target, popup ? null : response))) return target;
+        if (popup) await popup.close().catch(() => {});
+        if (relogged) throw new SessionExpiredError(`Still on the login page after re-login (${target.url()})`);
+      }
+    }
+    return null;
   }
 
-  // 06) Invoice (full page)
-  if (invoiceHref) {
-    await page.goto(invoiceHref, { waitUntil: 'domcontentloaded' });
-    await waitForSpinnerGone(page).catch(() => {});
-    await captureFullPage(page, path.join(regDir, `${baseName}__06_Invoice`), { pdf });
-  } else {
-    console.warn('  ⚠ Could not resolve Invoice URL from Actions; attempting click fallback.');
-    try {
-      await openActionsMenu(page);
-      const [popup] = await Promise.all([
-        page.waitForEvent('popup').catch(() => null),
-        page.waitForNavigation({ waitUntil: 'domcontentloaded' }).catch(() => null),
-        page.getByRole('menuitem', { name: /invoice/i }).first().click({ delay: 30 }),
-      ]);
-      const target = popup || page;
-      await captureFullPage(target, path.join(regDir, `${baseName}__06_Invoice`), { pdf });
-      if (popup) await popup.close().catch(() => {});
-      await page.bringToFront();
-    } catch {}
+  const stepFileBase = (s) => path.join(regDir, `${baseName}__${s.output}`);
+
+  // redactions: match counts are added here when emailTemplates makes its redacted copies
+  async function captureStep(target, s, redactions) {
+    const fileBase = stepFileBase(s);
+    const c = s.capture;
+    if (c.mode === 'emailTemplates') return captureEmailTemplates(s, fileBase, redactions); // source + redaction per template
+    await captureMode(target, c, fileBase);
+    if (source) await savePageSource(target, fileBase, { iframeSrc: c.src });
   }
 
-  // 03) Ticket & Email Delivery (best-effort)
-// 03) Ticket Email Preview (Send Email page) – capture ONLY the email iframe content
-try {
-  const sendEmailHref = await getSendEmailHref(page, { registrantUrl });
-  if (sendEmailHref) {
-    await page.goto(sendEmailHref, { waitUntil: 'domcontentloaded' });
-    await sleep(Math.max(200, delay));
-    const emailShot = path.join(regDir, baseName + '__03_Ticket_Email_Preview.png');
-    //const ok = await captureEmailIframeFromSendEmail(page, emailShot);
-    const ok = await captureIframeBySrc(page, '/frontend/preview/email', emailShot);
-    if (!ok) console.warn('  ⚠ Email iframe not found; saved full page instead');
+  // --redaction-profile: mask the page, then capture it again (same mode and file name) into
+  // redacted/. Runs after content checks and field extraction, which need the real values.
+  async function captureRedacted(target, c, fileBase, redactions) {
+    addCounts(redactions, await applyRedactions(target, redaction));
+    if (target === page) redactedDom = true;
+    const redBase = path.join(regDir, REDACTED_DIR, path.basename(fileBase));
+    fs.mkdirSync(path.dirname(redBase), { recursive: true });
+    await captureMode(target, c, redBase);
+    if (source) await savePageSource(target, redBase, { iframeSrc: c.src });
+  }
+
+  async function captureMode(target, c, fileBase) {
+    switch (c.mode) {
+      case 'fullPage': return captureFullPage(target, fileBase, { pdf: pdf || !!c.pdf });
+      case 'element':
+        if (tabMissing && c.fallback === 'fullPage') return captureFullPage(target, `${fileBase}_full`, { pdf: pdf || !!c.pdf });
+        return captureElement(target, fileBase, c.selector, {
+          panel: target === page ? tabPanel : null, fallback: c.fallback === 'fullPage', pdf: pdf || !!c.pdf,
+        });
+      case 'pdf':      return capturePdf(target, fileBase);
+      case 'email':    return captureConfirmationEmail(target, fileBase);
+      case 'iframe': {
+        const ok = await captureIframeBySrc(target, c.src, `${fileBase}.png`, { ready: (p) => ready(p, { frameSrc: c.src }) });
+        if (!ok) log.warn('  ⚠ Email iframe not found; saved full page instead');
+        return;
+      }
+    }
   }
-} catch (e) {
-  console.warn('  ⚠ Could not capture Ticket Email Preview:', e && e.message ? e.message : e);
-}
 
+  // Every template in the Send Email dropdown (optionally filtered by name) → <fileBase>_<Template_Name>.png
+  async function captureEmailTemplates(s, fileBase, redactions) {
+    const c = s.capture;
+    const filter = emailFilter || c.filter;
+    const re = filter ? new RegExp(filter, 'i') : null;
+    const all = await listEmailTemplates(page);
+    const templates = re ? all.filter((t) => re.test(t.name)) : all;
+    log.info(`  ✉ ${templates.length} of ${all.length} email template(s)${re ? ` matching /${filter}/` : ''}`);
+    if (!all.length) throw new Error('no email templates found on the Send Email page');
+    if (!templates.length) return;
 
-  // 04) QR Code Ticket Email (best-effort)
-  try {
-    const qrLink = page.locator('a[href*="/loggedin/registrant/send-email"], form[action*="/loggedin/registrant/send-email"]').first();
-    if (await qrLink.isVisible().catch(() => false)) {
-      const href = await qrLink.getAttribute('href');
-      if (href) {
-        await page.goto(new URL(href, page.url()).toString(), { waitUntil: 'domcontentloaded' });
-        await captureFullPage(page, path.join(regDir, `${baseName}__04_QR_Code_Ticket_Email`), { pdf });
-      } else {
-        await captureFullPage(page, path.join(regDir, `${baseName}__04_QR_Code_Ticket_Email`), { pdf });
+    const sendEmailUrl = page.url();
+    const used = new Set();
+    let captured = 0;
+    for (const t of templates) {
+      let slug = safe(t.name).replace(/\s+/g, '_').slice(0, 80) || t.id;
+      if (used.has(slug)) slug += `_${t.id}`;
+      used.add(slug);
+      try {
+        const u = new URL(sendEmailUrl);
+        u.searchParams.set('RegistrantEmailForm[type]', t.id);
+        await goto(u.toString());
+        await ready(page, { frameSrc: c.src });
+        const ok = await captureIframeBySrc(page, c.src || '/frontend/preview/email', `${fileBase}_${slug}.png`, { ready: (p) => ready(p, { frameSrc: c.src }) });
+        if (!ok) log.warn(`  ⚠ ${t.name}: email iframe not found; saved full page instead`);
+        if (source) await savePageSource(page, `${fileBase}_${slug}`, { iframeSrc: c.src });
+        if (redaction) await captureRedacted(page, { mode: 'iframe', src: c.src || '/frontend/preview/email' }, `${fileBase}_${slug}`, redactions);
+        captured++;
+      } catch (e) {
+        log.warn(`  ⚠ Email template "${t.name}" (${t.id}) failed:`, e?.message || e);
+      }
+    }
+    if (!captured) throw new Error('none of the email templates could be captured');
+  }
+
+  for (const s of profile.steps) {
+    await runStep(s.step, s.label, async (attempt) => {
+      stepReady = { timeout: (s.ready && s.ready.timeout) || readyTimeout, spinners: (s.ready && s.ready.spinners) || [], waits: [] };
+      const target = await openStepPage(s);
+      if (!target) { log.warn(`  ⚠ ${s.step}) ${s.label}: no URL found, skipping`); return 'skipped'; }
+      try {
+        const redactions = redaction ? [] : undefined;
+        await captureStep(target, s, redactions);
+        let validation;
+        if (s.validate) {
+          // a blank iframe or error page is often transient, so a failed check uses up a retry first
+          validation = await validateStep(target, s.validate, { regId, name });
+          const failed = validation.checks.filter((c) => !c.ok).map((c) => `${c.check}: ${c.detail}`);
+          if (failed.length && attempt < retry.attempts) throw new Error(`content check failed – ${failed.join('; ')}`);
+          if (failed.length) log.warn(`  ⚠ ${s.step}) ${s.label} failed content checks:`, failed.join('; '));
+        }
+        let fields;
+        if (s.extract) {
+          try {
+            fields = await extractFields(target, s.extract, { name });
+            log.info(`  ⛁ ${s.step}) fields:`, Object.keys(fields).join(', ') || 'none found');
+          } catch (e) {
+            log.warn(`  ⚠ ${s.step}) ${s.label}: field extraction failed:`, e?.message || e);
+          }
+        }
+        if (redaction && s.capture.mode !== 'emailTemplates') await captureRedacted(target, s.capture, stepFileBase(s), redactions);
+        return { status: !validation || validation.ok ? 'ok' : 'invalid', validation, fields, redactions, readiness: summarizeReady(stepReady.waits) };
+      } finally {
+        if (target !== page) { await target.close().catch(() => {}); await page.bringToFront(); }
+      }
+    });
+    stepReady = null;
+  }
+
+  // Only this profile's steps count from here on: the ledger may still hold steps of another
+  // profile captured earlier for the same registrant (e.g. an earlier `serve` job).
+  const profileEntries = () => profile.steps.map((s) => ledger.get(key).steps[s.step]).filter(Boolean);
+
+  // report images of registrants from several events go in a folder per event
+  const reportSubdir = run.multiEvent ? eventIdFromUrl(registrantUrl) || 'unknown' : '';
+
+  // thumbnails for the run report have to be made before the folder is zipped and deleted
+  // (serve has no run report and encrypted runs have no thumbnails, so no thumbDir)
+  let thumbs = {};
+  if (thumbDir) {
+    try { thumbs = await makeThumbnails(page.context(), regDir, thumbDir, reportSubdir); } catch (e) {
+      log.warn('  ⚠ Could not make report thumbnails:', e?.message || e);
+    }
+  }
+
+  // --compare-with: diff against the prior zip, also before the folder goes away
+  let compare;
+  if (run.locatePrior) {
+    try {
+      compare = await compareRegistrant({
+        context: page.context(), sink, locate: run.locatePrior, regId, eventId: eventIdFromUrl(registrantUrl), regDir,
+        steps: profileEntries(), diffDir: run.diffDir, subdir: reportSubdir, threshold: run.diffThreshold,
+      });
+      if (!compare.blobName) log.info('  ≈ nothing to compare with (no prior zip found)');
+      else {
+        const changed = Object.entries(compare.steps).filter(([, c]) => c.status === 'changed').map(([id]) => id);
+        log.info(`  ≈ vs ${compare.blobName}: ${changed.length ? `step(s) ${changed.join(', ')} changed` : 'no visual changes'}`);
       }
+    } catch (e) {
+      log.warn('  ⚠ Could not compare with the prior capture:', e?.message || e);
     }
-  } catch {}
+  }
 
-  // ---- Zip, upload to Azure, then delete local directory ----
+  // ---- Manifest, zip, upload to the storage sink, then delete local directory ----
+  const invalidSteps = profileEntries().filter((e) => e.status === 'invalid').map((e) => e.step);
   try {
-    // one zip per registrant id; you can switch to baseName if you prefer
-    const blobName = `${regId}.zip`;
-    const uploadedUrl = await uploadAndCleanupRegistrant(containerClient, regDir, blobName);
-    console.log('  ☁ Uploaded to Azure:', uploadedUrl);
-    console.log('  🗑️  Deleted local folder:', regDir);
+    if (blockOnInvalid && invalidSteps.length) {
+      throw new Error(`blocked by --block-on-invalid: step(s) ${invalidSteps.join(', ')} failed content checks`);
+    }
+    const fieldsFile = writeFieldsFile(regDir, baseName, { regId, registrantUrl, ...mergeFields(profile.steps, ledger.get(key).steps) });
+    if (fieldsFile) log.info('  ⛁', fieldsFile);
+    const extras = fieldsFile ? [{ file: fieldsFile, step: 'fields' }] : [];
+    const ledgerSteps = Object.fromEntries(profileEntries().map((e) => [e.step, e]));
+    const manifest = buildManifest({ regId, registrantUrl, regDir, steps: ledgerSteps, viewport, extras });
+    writeManifest(regDir, manifest);
+    log.info(`  🧾 manifest.json (${manifest.artifacts.length} artifacts, sha256 ${manifest.manifestSha256.slice(0, 12)}…)`);
+    // the redacted copy gets its own manifest, listing what each step had masked
+    let redManifest = null;
+    if (redaction) {
+      const { name: profileName, selectors, labels, patterns } = redaction;
+      const redactionInfo = {
+        profile: profileName,
+        rules: { selectors, labels, patterns },
+        steps: profile.steps.filter((s) => ledgerSteps[s.step] && ledgerSteps[s.step].redactions)
+          .map((s) => ({ step: s.step, matches: ledgerSteps[s.step].redactions.filter((m) => m.count > 0) })),
+      };
+      redManifest = buildManifest({ regId, registrantUrl, regDir, steps: ledgerSteps, viewport, subdir: REDACTED_DIR, redaction: redactionInfo });
+      writeManifest(path.join(regDir, REDACTED_DIR), redManifest);
+      const masked = redactionInfo.steps.reduce((n, st) => n + st.matches.reduce((m, x) => m + x.count, 0), 0);
+      log.info(`  ▮ redacted copy: ${redManifest.artifacts.length} artifacts, ${masked} value(s) masked (${profileName})`);
+    }
+    // blob name from --blob-name; --if-exists decides what happens when it's already taken
+    const { blobName, skip } = await withRetry(`check ${sink.name}`, () => resolveBlobName(sink, blobNameFor(run, registrantUrl, regId), ifExists), retry);
+    if (skip) {
+      const blobUrl = sink.url(blobName);
+      await rimraf(regDir);
+      ledger.record(key, { url: registrantUrl, step: 'upload', status: 'ok', blobUrl, blobName, existing: true });
+      log.info(`  ↷ ${blobName} already in storage (--if-exists skip), not uploaded:`, blobUrl);
+    } else {
+      // searchable on the blob itself: object metadata + index tags
+      const blobMeta = (m, copy) => ({
+        eventId: eventIdFromUrl(registrantUrl) || 'unknown',
+        registrantId: regId,
+        capturedAt: m.createdAt,
+        manifestSha256: m.manifestSha256,
+        toolVersion: m.tool.version,
+        runId: run.runId,
+        copy,
+      });
+      const redactedBlobName = redaction ? `${REDACTED_DIR}/${blobName}` : undefined;
+      const { url: uploadedUrl, redactedUrl } = await uploadAndCleanupRegistrant(sink, regDir, blobName, retry, {
+        redactedBlobName,
+        encryption,
+        metadata: blobMeta(manifest, 'full'),
+        redactedMetadata: redManifest ? blobMeta(redManifest, 'redacted') : undefined,
+      });
+      ledger.record(key, { url: registrantUrl, step: 'upload', status: 'ok', blobUrl: uploadedUrl, blobName, redactedBlobUrl: redactedUrl || undefined });
+      log.info(`  ☁ Uploaded (${sink.name}):`, uploadedUrl);
+      if (redactedUrl) log.info(`  ☁ Uploaded redacted copy (${sink.name}):`, redactedUrl);
+      log.info('  🗑️  Deleted local folder:', regDir);
+    }
   } catch (e) {
-    console.error('  ⚠ Azure upload failed. Keeping local folder.', e?.message || e);
+    ledger.record(key, { url: registrantUrl, step: 'upload', status: 'failed', error: String(e?.message || e) });
+    log.error(`  ⚠ Upload (${sink.name}) failed. Keeping local folder.`, e?.message || e);
   }
-  
-}
 
-(async () => {
-  const args = parseArgs();
-  if (args.saveSession) { const authPath = path.resolve(args.auth || 'auth.json'); await saveSession(authPath, args.viewport); process.exit(0); }
-  if (!args.in) { console.error('Missing --in <registrants.csv>'); process.exit(1); }
+  // success: every attempted step + upload ok; partial: uploaded but some step failed or
+  // failed its content checks; failed: not uploaded
+  const stepFailed = profileEntries().some((e) => ['failed', 'invalid'].includes(e.status));
+  const outcome = ledger.get(key).steps.upload.status !== 'ok' ? 'failed' : stepFailed ? 'partial' : 'success';
+  log.info(`  ■ ${key}: ${outcome}`);
+  return { outcome, thumbs, compare };
+}
 
-  const outRoot = path.resolve(args.outDir);
-  fs.mkdirSync(outRoot, { recursive: true });
+// verify: re-hash every artifact in downloaded zips against their manifest.json
+function verifyZips(zipPaths) {
+  let failed = 0;
+  for (const zp of zipPaths) {
+    if (isEncryptedFile(zp)) { failed++; console.error(`✖ ${zp}: encrypted – use "decrypt" (it verifies too)`); continue; }
+    const res = verifyZip(zp);
+    if (res.ok) {
+      console.log(`✔ ${zp}: ${res.checked} artifacts match manifest (sha256 ${res.manifest.manifestSha256})`);
+    } else {
+      failed++;
+      console.error(`✖ ${zp}:`);
+      for (const p of res.problems) console.error('   -', p);
+    }
+  }
+  return failed;
+}
 
-  const rows = readCsvRows(args.in);
-  const urls = [];
+// decrypt: <regId>.zip.enc → <regId>.zip next to it (or in outDir, created if needed), then verify it
+function decryptZips(files, { key, outDir }) {
+  let failed = 0;
+  const zips = [];
+  if (outDir) fs.mkdirSync(outDir, { recursive: true });
+  for (const fp of files) {
+    const name = path.basename(fp).replace(/\.enc$/i, '').replace(/^(?!.*\.zip$)(.*)$/i, '$1.zip');
+    const out = path.join(outDir || path.dirname(fp), name);
+    try {
+      decryptFile(fp, out, { privateKeyFile: key, passphrase: process.env[KEY_PASSPHRASE_ENV], password: process.env[PASSWORD_ENV] });
+      console.log(`🔓 ${fp} → ${out}`);
+      zips.push(out);
+    } catch (e) {
+      failed++;
+      console.error(`✖ ${fp}: ${e.message}`);
+    }
+  }
+  return failed + verifyZips(zips);
+}
 
-  for (const r of rows) {
+// One entry per input row (the run report lists unusable rows too)
+function entriesFromCsv(file, eventIdArg) {
+  return readCsvRows(file).map((r, i) => {
     let url = (r.registrant_url || r.RegistrantURL || '').toString().trim();
     const id = (r.id || r.ID || r['Registrant ID'] || r.registrantId || r.registrant_id || '').toString().trim();
     const csvEvent = (r.eventId || r['Event ID'] || r.event_id || '').toString().trim();
-    const eventId = (args.eventId || '').toString().trim() || csvEvent;
-    if (!url && id && eventId) url = `https://www.swoogo.com/loggedin/registrant/view?eventId=${encodeURIComponent(eventId)}&id=${encodeURIComponent(id)}`;
-    if (url) urls.push(url);
+    const eventId = (eventIdArg || '').toString().trim() || csvEvent;
+    if (!url && id && eventId) url = registrantUrl(eventId, id);
+    return url
+      ? { row: i + 1, url, regId: registrantIdFromUrl(url) }
+      : { row: i + 1, url: null, regId: id || null, reason: 'no registrant_url, and no id + eventId to build one' };
+  });
+}
+
+// --event: the event's registrants (REST API if credentials are set, else the listing pages),
+// filtered, and written to listFile – rows in the run report refer to lines of that file.
+// nav: { session, throttle, retry } – the listing pages are loaded like registrant pages.
+async function entriesFromEvent(browser, args, contextOptions, listFile, nav) {
+  const eventId = args.event;
+  let list;
+  if (hasApiCredentials()) {
+    console.log(`Reading registrants of event ${eventId} from the Swoogo API...`);
+    list = await listRegistrantsFromApi(eventId);
+  } else {
+    console.log(`Reading registrants of event ${eventId} from the registrant listing...`);
+    const ctx = await browser.newContext(contextOptions);
+    try {
+      const page = await ctx.newPage();
+      list = await listRegistrantsFromListing(page, eventId, { goto: sessionGoto(page, nav) });
+    } finally {
+      await ctx.close().catch(() => {});
+    }
+  }
+  const picked = filterRegistrants(list, { status: args.status, type: args.regType, from: args.registeredFrom, to: args.registeredTo });
+  writeRegistrantList(listFile, picked);
+  console.log(`Event ${eventId}: ${picked.length} of ${list.length} registrant(s) selected → ${path.relative(process.cwd(), listFile)}`);
+  return picked.map((r, i) => ({ row: i + 1, url: r.url, regId: r.id }));
+}
+
+// Profile, redaction profile and encryption for one run's options; throws a readable message
+function loadRunConfig(args) {
+  const profile = loadProfile(args.profile);
+  const redaction = args.redactionProfile ? loadRedactionProfile(args.redactionProfile) : null;
+  let encryption = null;
+  if (args.encryptKey || args.encryptPassword) {
+    try {
+      encryption = createEncryption({ keyFile: args.encryptKey, password: args.encryptPassword ? process.env[PASSWORD_ENV] : null });
+    } catch (e) { throw new Error(`✖ Encryption: ${e.message}`); }
   }
-  if (urls.length === 0) { console.error('No usable rows found.'); process.exit(1); }
+  return { profile, redaction, encryption };
+}
+
+// First Ctrl+C: stop taking new registrants (and, in a batch, new events), let in-flight ones
+// finish capture + zip + upload. Second Ctrl+C: exit immediately.
+const shutdown = { stopping: false, sessionExpired: false };
+function installStopHandler() {
+  process.on('SIGINT', () => {
+    if (shutdown.stopping) { console.error('\n✖ Forced exit.'); process.exit(130); }
+    shutdown.stopping = true;
+    console.warn('\n⏸ Stopping after in-flight registrants finish (zip + upload). Press Ctrl+C again to force quit.');
+  });
+}
 
+// One login for everything running in this browser: a re-login refreshes every context
+function createRunSession(browser, args) {
+  return createSessionGuard({
+    authPath: path.resolve(args.auth || 'auth.json'),
+    interactive: args.interactive,
+    relogin: (authPath) => saveSession(authPath, args.viewport),
+    contexts: () => browser.contexts(),
+  });
+}
+
+// One capture run: registrant list → worker pool → zips in the sink → run report.
+// Throws when the run can't start (no registrants, sink not usable).
+// Returns { runId, outRoot, reportDir, outcomes }.
+async function runCapture(browser, args, { profile, redaction, encryption }, session) {
+  console.log(`Evidence profile: ${profile.name} (${profile.steps.map((s) => s.step).join(', ')})`);
+  if (redaction) {
+    console.log(`Redaction profile: ${redaction.name} (${redaction.selectors.length} selector(s), ${redaction.labels.length} label(s), ${redaction.patterns.length} pattern(s))`);
+  }
+  if (encryption) console.log(`Encrypting zips: ${encryption.describe()}`);
+
+  const outRoot = path.resolve(args.outDir);
+  fs.mkdirSync(outRoot, { recursive: true });
+
+  const runId = makeRunId();
+  const startedAt = new Date().toISOString();
+  const reportDir = path.join(outRoot, 'reports', runId);
   const contextOptions = { viewport: args.viewport };
-  if (args.auth && fs.existsSync(args.auth)) contextOptions.storageState = args.auth;
+  if (args.auth) contextOptions.storageState = args.auth;
+
+  const throttle = createRateLimiter(args.rate);
+  const retry = { attempts: args.retries, baseDelay: args.retryDelay };
 
-  await withBrowser(contextOptions, async ({ page }) => {
-    for (const u of urls) {
+  let entries;
+  try {
+    entries = args.event
+      ? await entriesFromEvent(browser, args, contextOptions, path.join(reportDir, 'registrants.csv'), { session, throttle, retry })
+      : entriesFromCsv(args.in, args.eventId);
+  } catch (e) { throw new Error(`✖ Could not read the registrant list: ${e?.message || e}`); }
+  const jobs = entries.filter((e) => e.url);
+  if (jobs.length === 0) throw new Error(args.event ? 'No registrants matched.' : 'No usable rows found.');
+
+  // A CSV can mix events, and a registrant id is only unique within its event: folders and
+  // ledger entries are then keyed <eventId>_<id>, and the default blob name gets the event id
+  const multiEvent = new Set(jobs.map((e) => eventIdFromUrl(e.url))).size > 1;
+  let blobTemplate = args.blobName;
+  if (multiEvent) {
+    for (const e of jobs) e.key = registrantKey({ multiEvent }, e.url);
+    if (blobTemplate === DEFAULT_BLOB_NAME) blobTemplate = BATCH_BLOB_NAME;
+    else if (!blobTemplate.includes('{eventId}')) console.warn(`⚠ The rows come from more than one event, but --blob-name ${blobTemplate} has no {eventId}: the same registrant id in two events gets the same blob name`);
+    console.log(`Rows from more than one event: zips go to ${blobTemplate}`);
+  }
+
+  // storage client is only built now, after argument checks (and only for the chosen sink)
+  let sink;
+  try {
+    sink = createSink(args.sink, { dir: args.sinkDir || path.join(outRoot, 'zips'), env: args.sinkEnv });
+  } catch (e) { throw new Error(`Storage sink "${args.sink}": ${e.message}`); }
+  console.log(`Storage sink: ${sink.name} → ${sink.describe()}`);
+  const ledger = openLedger(outRoot);
+  const run = { outDir: outRoot, delay: args.delay, readyTimeout: args.readyTimeout, pdf: args.pdf, viewport: args.viewport, sink, ledger, resume: args.resume, throttle, retry, profile, session, blockOnInvalid: args.blockOnInvalid, emailFilter: args.emailFilter, source: args.source, redaction, encryption, runId, blobTemplate, ifExists: args.ifExists, multiEvent };
+  const outcomes = { success: 0, partial: 0, failed: 0, skipped: 0 };
+  const results = new Map(); // row → report data
+  // encrypted runs: nothing readable in the report – no thumbnails or field values (and no
+  // --compare-with, see lib/cli.js)
+  run.thumbDir = encryption ? null : path.join(reportDir, 'thumbs');
+  if (args.compareWith) {
+    run.locatePrior = createPriorLocator(sink, args.compareWith, outRoot);
+    run.diffDir = path.join(reportDir, 'diffs');
+    run.diffThreshold = args.diffThreshold;
+    console.log(`Comparing with: ${args.compareWith} (changed above ${(args.diffThreshold * 100).toFixed(2)}% of pixels)`);
+  }
+  if (args.resume) console.log('Resuming from ledger:', path.relative(process.cwd(), ledger.file));
+
+  // one isolated context per worker, all sharing the saved storageState
+  const workers = Math.min(args.concurrency, jobs.length);
+  const pages = [];
+  for (let w = 0; w < workers; w++) pages.push(await (await browser.newContext(contextOptions)).newPage());
+  if (workers > 1) console.log(`Running ${workers} workers (rate limit: ${args.rate > 0 ? args.rate + ' nav/s' : 'off'})`);
+
+  try {
+    await runPool(jobs, workers, ({ row, url: u, regId, key = regId }, w) => log.withLogTag(workers > 1 ? `w${w + 1}` : null, async () => {
+      if (args.resume && ledger.isComplete(key)) {
+        log.info(`\n↷ ${key} already uploaded:`, ledger.get(key).steps.upload.blobUrl);
+        outcomes.skipped++;
+        results.set(row, { outcome: 'already done' });
+        return;
+      }
+      // --if-exists skip: don't even capture when the blob is already there
+      if (args.ifExists === 'skip') {
+        const blobName = blobNameFor(run, u, regId);
+        if (await sink.exists(blobName).catch(() => false)) {
+          log.info(`\n↷ ${key} already in storage:`, sink.url(blobName));
+          ledger.record(key, { url: u, step: 'upload', status: 'ok', blobUrl: sink.url(blobName), blobName, existing: true });
+          outcomes.skipped++;
+          results.set(row, { outcome: 'already done' });
+          return;
+        }
+      }
+      const result = { startedAt: new Date().toISOString() };
+      const { warnings } = await log.collectWarnings(async () => {
+        try {
+          Object.assign(result, await processRegistrant(pages[w], u, run));
+        } catch (err) {
+          result.outcome = 'failed';
+          result.error = String(err?.message || err);
+          if (err instanceof SessionExpiredError) { shutdown.sessionExpired = true; shutdown.stopping = true; }
+          ledger.record(key, { url: u, step: 'registrant', status: 'failed', error: String(err?.message || err) });
+          log.error('  ✖ Error for', u, '\n   ', err?.message || err);
+        }
+      });
+      outcomes[result.outcome]++;
+      results.set(row, { ...result, warnings, finishedAt: new Date().toISOString() });
+    }), { shouldStop: () => shutdown.stopping });
+  } finally {
+    for (const p of pages) await p.context().close().catch(() => {});
+  }
+
+  console.log(`\nRegistrants: ${outcomes.success} success, ${outcomes.partial} partial, ${outcomes.failed} failed`
+    + (outcomes.skipped ? `, ${outcomes.skipped} already done` : ''));
+
+  // ---- Run report (JSON / CSV / HTML), uploaded next to the zips ----
+  const report = buildReport({ runId, startedAt, finishedAt: new Date().toISOString(), profile, sink, entries, results, ledger, fields: !encryption });
+  writeReport(reportDir, report);
+  console.log('\n📋 Run report:', path.relative(process.cwd(), path.join(reportDir, 'index.html')));
+  try {
+    // the --event registrant list (names, emails) stays on this machine when zips are encrypted
+    const reportUrl = await uploadReport(sink, reportDir, `reports/${runId}`, { exclude: encryption ? ['registrants.csv'] : [] });
+    console.log(`  ☁ Uploaded (${sink.name}):`, reportUrl);
+  } catch (e) {
+    console.error(`  ⚠ Report upload (${sink.name}) failed; it is still in`, path.relative(process.cwd(), reportDir), e?.message || e);
+  }
+  return { runId, outRoot, reportDir, outcomes };
+}
+
+// batch: every event of the job file in turn, in one browser with one login
+async function runBatch(jobFile, args, given) {
+  let events;
+  let configs;
+  try {
+    events = loadJobFile(jobFile, args, given);
+    configs = events.map((e) => loadRunConfig(e.opts)); // every profile is checked before the browser opens
+  } catch (e) { console.error(e.message); process.exit(1); }
+  console.log(`Batch ${path.relative(process.cwd(), path.resolve(jobFile))}: ${events.length} event(s) – ${events.map((e) => e.eventId).join(', ')}`);
+
+  const batchId = makeRunId();
+  const startedAt = new Date().toISOString();
+  const summaries = [];
+  await withBrowser({ viewport: args.viewport }, async ({ browser }) => {
+    const session = createRunSession(browser, args);
+    for (const [i, e] of events.entries()) {
+      const base = { eventId: e.eventId, out: path.relative(process.cwd(), e.opts.outDir) };
+      if (shutdown.stopping) { summaries.push({ ...base, status: 'not run' }); continue; }
+      console.log(`\n══ Event ${e.eventId} (${i + 1}/${events.length}) → ${base.out}`);
       try {
-        await processRegistrant(page, u, outRoot, args.delay, args.pdf, containerClient);
+        const r = await runCapture(browser, e.opts, configs[i], session);
+        summaries.push({ ...base, status: 'done', runId: r.runId, outcomes: r.outcomes, report: path.relative(process.cwd(), path.join(r.reportDir, 'index.html')) });
       } catch (err) {
-        console.error('  ✖ Error for', u, '\n   ', err?.message || err);
+        console.error(err?.message || err);
+        summaries.push({ ...base, status: 'failed', error: String(err?.message || err) });
       }
     }
+  }, { headless: args.headless });
+
+  console.log('\n══ Batch summary');
+  for (const s of summaries) {
+    const o = s.outcomes;
+    console.log(`  ${s.eventId.padEnd(10)} ${s.status.padEnd(8)} ${o ? `${o.success} success, ${o.partial} partial, ${o.failed} failed, ${o.skipped} already done  ${s.report}` : s.error || ''}`);
+  }
+  const file = writeBatchSummary(path.resolve(args.outDir), { batchId, jobFile: path.resolve(jobFile), startedAt, finishedAt: new Date().toISOString(), events: summaries });
+  console.log('\n📋 Batch summary:', path.relative(process.cwd(), file));
+  return summaries.every((s) => s.status === 'done');
+}
+
+// serve: the profile a job names – <name>.json / .yaml in --profiles-dir, loaded once;
+// no name → --profile (or the default profile)
+function createProfileResolver(profilesDir, fallback) {
+  const loaded = new Map();
+  return (name) => {
+    if (!name) return fallback;
+    if (!/^[\w.-]+$/.test(name)) throw new Error(`profile "${name}": give the name of a profile in ${profilesDir}, not a path`);
+    if (!loaded.has(name)) {
+      const file = ['.json', '.yaml', '.yml'].map((ext) => path.join(profilesDir, name + ext)).find((f) => fs.existsSync(f));
+      if (!file) throw new Error(`profile "${name}" not found in ${profilesDir}`);
+      loaded.set(name, loadProfile(file));
+    }
+    return loaded.get(name);
+  };
+}
+
+const JOB_KEYS = ['registrantId', 'eventId', 'url', 'profile', 'reference'];
+
+// POST /jobs body → { job } (queued) or { problems }
+function submitJob(queue, body, { eventId: defaultEventId, profileFor }) {
+  const problems = [];
+  const b = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+  if (b !== body) problems.push('body must be a JSON object');
+  for (const k of Object.keys(b)) if (!JOB_KEYS.includes(k)) problems.push(`unknown key "${k}" (${JOB_KEYS.join(', ')})`);
+  const id = b.registrantId != null ? String(b.registrantId).trim() : '';
+  const eventId = b.eventId != null ? String(b.eventId).trim() : defaultEventId;
+  let url = b.url != null ? String(b.url).trim() : '';
+  if (!url === !id) problems.push(url ? 'give either "url" or "registrantId", not both' : '"registrantId" (with "eventId") or "url" is required');
+  if (url) {
+    let ok = false;
+    try { ok = /^https?:$/.test(new URL(url).protocol); } catch {}
+    if (!ok) problems.push('"url" must be an http(s) registrant view URL');
+    else if (registrantIdFromUrl(url) === 'unknown') problems.push('"url" has no numeric id= parameter');
+  }
+  if (id) {
+    if (!/^\d+$/.test(id)) problems.push('"registrantId" must be numeric');
+    if (!/^\d+$/.test(eventId || '')) problems.push('"eventId" is required with "registrantId" (or start serve with --eventId)');
+    url = registrantUrl(eventId, id);
+  }
+  const profile = b.profile != null ? String(b.profile) : null;
+  try { profileFor(profile); } catch (e) { problems.push(e.message.replace(/\n/g, ' ')); }
+  if (b.reference != null && String(b.reference).length > 200) problems.push('"reference" is at most 200 characters');
+  if (problems.length) return { problems };
+  return { job: queue.add({ registrantUrl: url, regId: registrantIdFromUrl(url), profile, reference: b.reference != null ? String(b.reference) : undefined }) };
+}
+
+// serve: one logged-in browser page, reused for every job, taking them from the queue one at a time
+async function runServe(args) {
+  let defaults;
+  try { defaults = loadRunConfig(args); } catch (e) { console.error(e.message); process.exit(1); }
+  const outRoot = path.resolve(args.outDir);
+  fs.mkdirSync(outRoot, { recursive: true });
+  let sink;
+  try {
+    sink = createSink(args.sink, { dir: args.sinkDir || path.join(outRoot, 'zips') });
+  } catch (e) { console.error(`Storage sink "${args.sink}":`, e.message); process.exit(1); }
+  console.log(`Storage sink: ${sink.name} → ${sink.describe()}`);
+  const queue = openQueue(outRoot);
+  const ledger = openLedger(outRoot);
+  const profileFor = createProfileResolver(path.resolve(args.profilesDir), defaults.profile);
+
+  const state = { browser: 'starting', session: 'ok', current: null, startedAt: Date.now() };
+  const health = () => ({
+    ok: state.browser === 'connected' && state.session === 'ok' && !shutdown.stopping,
+    browser: state.browser,
+    session: state.session,
+    worker: shutdown.stopping ? 'stopping' : state.session !== 'ok' ? 'paused' : state.current ? 'busy' : 'idle',
+    current: state.current,
+    queue: queue.counts(),
+    uptimeSec: Math.round((Date.now() - state.startedAt) / 1000),
   });
+  const server = createApiServer({ queue, health, submit: (body) => submitJob(queue, body, { eventId: args.eventId, profileFor }) });
+  try {
+    await new Promise((resolve, reject) => { server.once('error', reject); server.listen(args.port, args.host, resolve); });
+  } catch (e) { console.error(`✖ Could not listen on ${args.host}:${args.port}:`, e.message); process.exit(1); }
+  const c = queue.counts();
+  console.log(`API on http://${args.host}:${args.port} (POST /jobs, GET /jobs/<id>, GET /health)${process.env[API_TOKEN_ENV] ? `, bearer token from ${API_TOKEN_ENV}` : ''}`);
+  console.log(`Queue: ${path.relative(process.cwd(), queue.file)} – ${c.queued} queued, ${c.done} done, ${c.failed} failed`);
+  installStopHandler();
+
+  const contextOptions = { viewport: args.viewport };
+  if (args.auth) contextOptions.storageState = args.auth;
+  const base = {
+    outDir: outRoot, delay: args.delay, readyTimeout: args.readyTimeout, pdf: args.pdf, viewport: args.viewport, sink, ledger, resume: false,
+    throttle: createRateLimiter(args.rate), retry: { attempts: args.retries, baseDelay: args.retryDelay }, blockOnInvalid: args.blockOnInvalid,
+    emailFilter: args.emailFilter, source: args.source, redaction: defaults.redaction, encryption: defaults.encryption,
+    runId: makeRunId(), blobTemplate: args.blobName === DEFAULT_BLOB_NAME ? BATCH_BLOB_NAME : args.blobName, ifExists: args.ifExists, thumbDir: null,
+    multiEvent: true, // jobs can name any event
+  };
+  await withBrowser(contextOptions, async ({ browser, page }) => {
+    state.browser = 'connected';
+    browser.on('disconnected', () => { state.browser = 'disconnected'; shutdown.stopping = true; });
+    base.session = createRunSession(browser, args);
+    while (!shutdown.stopping && state.session === 'ok') {
+      const job = await queue.nextJob(1000);
+      if (!job || shutdown.stopping) continue;
+      state.current = job.id;
+      await log.withLogTag(job.id, () => runServeJob(page, job, { queue, ledger, base, profileFor, state }));
+      state.current = null;
+    }
+  }, { headless: args.headless });
+  if (state.browser === 'connected') state.browser = 'closed';
+
+  if (state.session !== 'ok' && !shutdown.stopping) {
+    console.error('\n✖ Swoogo session expired and could not be renewed. Jobs stay queued; refresh the session with `login` and restart serve.');
+    console.error('  The API keeps answering (/health reports the expired session). Press Ctrl+C to quit.');
+    while (!shutdown.stopping) await sleep(500);
+  }
+  server.closeAllConnections();
+  await new Promise((r) => server.close(r));
+  if (state.session !== 'ok') process.exitCode = 1;
+  console.log('\nStopped. Queue:', path.relative(process.cwd(), queue.file));
+}
+
+// One queued job → processRegistrant → the job's outcome, blob URL and per-step status
+async function runServeJob(page, job, { queue, ledger, base, profileFor, state }) {
+  queue.update(job.id, { status: 'running', startedAt: new Date().toISOString(), error: null });
+  const { registrantUrl: u } = job;
+  const key = registrantKey(base, u);
+  let outcome;
+  let error = null;
+  let profile;
+  try {
+    profile = profileFor(job.profile);
+    ({ outcome } = await processRegistrant(page, u, { ...base, profile }));
+  } catch (err) {
+    if (err instanceof SessionExpiredError) {
+      state.session = 'expired';
+      queue.update(job.id, { status: 'queued', error: String(err?.message || err) });
+      log.error('  ✖ Session expired; job', job.id, 'stays queued');
+      return;
+    }
+    error = String(err?.message || err);
+    if (profile) ledger.record(key, { url: u, step: 'registrant', status: 'failed', error });
+    log.error('  ✖ Error for', u, '\n   ', error);
+  }
+  const steps = (profile && ledger.get(key) && ledger.get(key).steps) || {};
+  const upload = !error && steps.upload;
+  const stepStatus = profile
+    ? Object.fromEntries(profile.steps.filter((s) => steps[s.step]).map((s) => [s.step, steps[s.step].status + (steps[s.step].degraded ? ' (degraded)' : '')]))
+    : undefined;
+  const finished = { outcome: outcome || 'failed', steps: stepStatus, finishedAt: new Date().toISOString() };
+  if (upload && upload.status === 'ok') {
+    queue.update(job.id, { ...finished, status: 'done', blobUrl: upload.blobUrl, blobName: upload.blobName, redactedBlobUrl: upload.redactedBlobUrl });
+    log.info(`  ✔ Job ${job.id} done:`, upload.blobUrl);
+  } else {
+    queue.update(job.id, { ...finished, status: 'failed', error: error || (upload && upload.error) || 'not uploaded' });
+    log.warn(`  ⚠ Job ${job.id} failed`);
+  }
+}
+
+function finish(args) {
+  if (shutdown.sessionExpired) console.error(`\n✖ Swoogo session expired and could not be renewed. Refresh it with "node capture.js login --auth ${args.auth || 'auth.json'}", then rerun with --resume.`);
+  else if (shutdown.stopping) console.warn('\nStopped early. Rerun with --resume to continue where this run left off.');
+  console.log('\nDone. Files saved in:', path.relative(process.cwd(), path.resolve(args.outDir)));
+  if (shutdown.sessionExpired) process.exitCode = 1;
+}
+
+async function main() {
+  let cli;
+  try {
+    cli = parseCli(process.argv.slice(2));
+  } catch (e) {
+    if (!(e instanceof CliError)) throw e;
+    console.error(e.message.split('\n').map((l) => `✖ ${l}`).join('\n'));
+    console.error('\nRun with --help to see every option.');
+    process.exit(1);
+  }
+  const { command, opts: args, positional, explicit, given } = cli;
+  if (args.help) { console.log(helpText(explicit ? command : null)); process.exit(0); }
+  if (command === 'verify') process.exit(verifyZips(positional) ? 1 : 0);
+  if (command === 'decrypt') process.exit(decryptZips(positional, { key: args.key, outDir: args.decryptDir }) ? 1 : 0);
+  if (command === 'login') { await saveSession(path.resolve(args.auth), args.viewport); process.exit(0); }
+
+  if (command === 'serve') { await runServe(args); return; }
+
+  if (command === 'batch') {
+    installStopHandler();
+    if (!(await runBatch(positional[0], args, given))) process.exitCode = 1;
+    finish(args);
+    return;
+  }
+
+  let config;
+  try { config = loadRunConfig(args); } catch (e) { console.error(e.message); process.exit(1); }
+  installStopHandler();
+  await withBrowser({ viewport: args.viewport }, async ({ browser }) => {
+    try {
+      await runCapture(browser, args, config, createRunSession(browser, args));
+    } catch (e) { console.error(e.message); process.exit(1); }
+  }, { headless: args.headless });
+  finish(args);
+}
+
+// Run from the command line; required (by the test suite), it only exports the capture flow
+// (anything main() didn't handle itself: one line instead of a stack trace)
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(`✖ ${String(e?.message || e).split('\n')[0]}`);
+    process.exitCode = 1;
+  });
+}
 
-  console.log('\nDone. Files saved in:', path.relative(process.cwd(), outRoot));
-})();
+module.exports = { processRegistrant, submitJob, createProfileResolver };
@@ -0,0 +1,98 @@
+/**
+ * HTTP API for `serve` – submit capture jobs, poll them, check the service is up.
+ * -------------------------------------------------------------
+ *   POST /jobs        { "registrantId": "1001", "eventId": "255274", "profile": "default" }
+ *                     or { "url": "https://www.swoogo.com/loggedin/registrant/view?eventId=..&id=..", ... }
+ *                     → 202 { id, status: "queued", ... }  (400 with `problems` for a bad job)
+ *   GET  /jobs/<id>   → the job: status, outcome, blobUrl / redactedBlobUrl, per-step status, error
+ *   GET  /jobs        → newest first (?status=queued|running|done|failed, ?limit=100)
+ *   GET  /health      → 200 while the browser is up and the session is good, otherwise 503
+ *
+ * Plain JSON over node's http module. With CAPTURE_API_TOKEN set, every call except /health
+ * needs "Authorization: Bearer <token>".
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { JOB_STATUSES } = require('./queue');
+
+const API_TOKEN_ENV = 'CAPTURE_API_TOKEN';
+const MAX_BODY = 64 * 1024;
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+  res.end(JSON.stringify(body, null, 2) + '\n');
+}
+
+// Rejects a body over MAX_BODY (error.tooLarge) without buffering it, but keeps reading it so
+// the 400 reaches the client instead of a reset connection
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (c) => {
+      if (size > MAX_BODY) return;
+      size += c.length;
+      if (size > MAX_BODY) {
+        chunks.length = 0;
+        reject(Object.assign(new Error(`body over ${MAX_BODY} bytes`), { tooLarge: true }));
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      try { resolve(raw.trim() ? JSON.parse(raw) : {}); } catch (e) { reject(new Error(`body is not JSON: ${e.message}`)); }
+    });
+    req.on('error', reject);
+  });
+}
+
+const tokenMatches = (header, token) => {
+  const given = Buffer.from(String(header || '').replace(/^Bearer\s+/i, ''));
+  const want = Buffer.from(token);
+  return given.length === want.length && crypto.timingSafeEqual(given, want);
+};
+
+// queue: lib/queue.js; submit(body) → { job } or { problems }; health() → { ok, ... }.
+// Returns the (not yet listening) http.Server.
+function createApiServer({ queue, submit, health, token = process.env[API_TOKEN_ENV] }) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = url.pathname.replace(/\/+$/, '') || '/';
+    try {
+      if (route === '/health' && req.method === 'GET') {
+        const h = health();
+        return sendJson(res, h.ok ? 200 : 503, h);
+      }
+      if (token && !tokenMatches(req.headers.authorization, token)) {
+        return sendJson(res, 401, { error: `missing or wrong bearer token (${API_TOKEN_ENV})` });
+      }
+
+      if (route === '/jobs' && req.method === 'POST') {
+        let body;
+        try { body = await readJson(req); } catch (e) { return sendJson(res, 400, { error: e.message }, e.tooLarge ? { Connection: 'close' } : {}); }
+        const { job, problems } = submit(body);
+        if (problems && problems.length) return sendJson(res, 400, { error: 'invalid job', problems });
+        return sendJson(res, 202, job);
+      }
+      if (route === '/jobs' && req.method === 'GET') {
+        const status = url.searchParams.get('status') || undefined;
+        if (status && !JOB_STATUSES.includes(status)) return sendJson(res, 400, { error: `status must be one of ${JOB_STATUSES.join(', ')}` });
+        const limit = Math.max(1, Math.min(1000, Number(url.searchParams.get('limit')) || 100));
+        return sendJson(res, 200, { jobs: queue.list({ status, limit }), counts: queue.counts() });
+      }
+      const m = /^\/jobs\/([\w-]+)$/.exec(route);
+      if (m && req.method === 'GET') {
+        const job = queue.get(m[1]);
+        return job ? sendJson(res, 200, job) : sendJson(res, 404, { error: `no job ${m[1]}` });
+      }
+      if (route === '/jobs' || m || route === '/health') return sendJson(res, 405, { error: `${req.method} not allowed on ${route}` });
+      return sendJson(res, 404, { error: `no route ${route}` });
+    } catch (e) {
+      if (!res.headersSent) sendJson(res, 500, { error: String(e?.message || e) });
+    }
+  });
+}
+
+module.exports = { createApiServer, API_TOKEN_ENV };
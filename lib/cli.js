@@ -0,0 +1,303 @@
+/**
+ * Command line – subcommands, option table, validation and --help.
+ * -------------------------------------------------------------
+ *   node capture.js login   [--auth auth.json] [--viewport 1600x1200]
+ *   node capture.js capture --in registrants.csv [options]     (default when no command is given)
+ *   node capture.js capture --event <id> [--status ..] [options]  (registrant list from the event)
+ *   node capture.js batch   <jobs.yaml> [options]               (several events, see lib/jobs.js)
+ *   node capture.js serve   [--port 8080] [options]             (HTTP API + job queue, see lib/api.js)
+ *   node capture.js verify  <registrant.zip> [...]
+ *   node capture.js decrypt <registrant.zip.enc> [...] [--key private.pem]
+ *
+ * `--save-session` is kept as an alias for `login`. Unknown flags, bad values and missing
+ * env vars are reported together before anything is launched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SINKS, IF_EXISTS, DEFAULT_BLOB_NAME, checkSinkEnv, checkBlobTemplate } = require('./sinks');
+const { PASSWORD_ENV, KEY_PASSPHRASE_ENV } = require('./encrypt');
+const { API_TOKEN_ENV } = require('./api');
+
+class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CliError';
+  }
+}
+
+const COMMANDS = {
+  login:   { usage: 'login [options]', summary: 'Open Chromium, log in to Swoogo and save the session (auth.json)' },
+  capture: { usage: 'capture --in <registrants.csv> | --event <id> [options]', summary: 'Capture evidence for every registrant in the CSV or event (default command)' },
+  batch:   { usage: 'batch <jobs.yaml> [options]', summary: 'Capture several events from a job file, one after another, with one login' },
+  serve:   { usage: 'serve [--port <n>] [options]', summary: 'Keep one logged-in browser open and capture registrants submitted over a local HTTP API' },
+  verify:  { usage: 'verify <registrant.zip> [...]', summary: 'Re-check downloaded zips against their manifest.json' },
+  decrypt: { usage: 'decrypt <registrant.zip.enc> [...] [options]', summary: 'Decrypt --encrypt-key / --encrypt-password zips, then verify them' },
+};
+
+// type: string | number | int | bool | viewport | regex | date; `value` is what a bool flag sets
+const OPTIONS = [
+  { flag: '--in', key: 'in', type: 'string', arg: '<file.csv>', commands: ['capture'],
+    desc: 'Registrants CSV (registrant_url, or id + eventId columns)' },
+  { flag: '--event', key: 'event', type: 'string', arg: '<id>', commands: ['capture'],
+    desc: 'Capture the registrants of this event instead of a CSV (REST API or listing pages)' },
+  { flag: '--status', key: 'status', type: 'regex', arg: '<regex>', commands: ['capture'],
+    desc: 'With --event: only registrants whose registration status matches' },
+  { flag: '--reg-type', key: 'regType', type: 'regex', arg: '<regex>', commands: ['capture'],
+    desc: 'With --event: only registrants whose registration type matches' },
+  { flag: '--registered-from', key: 'registeredFrom', type: 'date', arg: '<date>', commands: ['capture'],
+    desc: 'With --event: registered on or after this date (YYYY-MM-DD)' },
+  { flag: '--registered-to', key: 'registeredTo', type: 'date', arg: '<date>', commands: ['capture'],
+    desc: 'With --event: registered on or before this date (YYYY-MM-DD)' },
+  { flag: '--auth', key: 'auth', type: 'string', arg: '<file>', commands: ['login', 'capture', 'batch', 'serve'],
+    desc: 'Saved Playwright session (login writes it; default auth.json for login)' },
+  { flag: '--out', key: 'outDir', type: 'string', arg: '<dir>', default: 'out', commands: ['capture', 'batch', 'serve'],
+    desc: 'Working folder: registrant folders, ledger.jsonl, reports/' },
+  { flag: '--eventId', key: 'eventId', type: 'string', arg: '<id>', default: '', commands: ['capture', 'serve'],
+    desc: "Event ID for every row (overrides the CSV's event column); serve: for jobs that only give a registrant id" },
+  { flag: '--profile', key: 'profile', type: 'string', arg: '<file>', default: null, commands: ['capture', 'batch', 'serve'],
+    desc: 'Evidence profile, JSON or YAML (default profiles/default.json)' },
+  { flag: '--redaction-profile', key: 'redactionProfile', type: 'string', arg: '<file>', default: null, commands: ['capture', 'batch', 'serve'],
+    desc: 'Also produce a redacted external copy (redacted/<regId>.zip) masked per this profile' },
+  { flag: '--email-filter', key: 'emailFilter', type: 'regex', arg: '<regex>', default: null, commands: ['capture', 'batch', 'serve'],
+    desc: 'Only capture email templates whose name matches (emailTemplates steps)' },
+  { flag: '--no-source', key: 'source', type: 'bool', value: false, default: true, commands: ['capture', 'batch', 'serve'],
+    desc: "Don't save MHTML / email HTML / text next to each screenshot" },
+  { flag: '--ready-timeout', key: 'readyTimeout', type: 'int', arg: '<ms>', default: 15000, min: 1000, commands: ['capture', 'batch', 'serve'],
+    desc: 'Max wait for a page to be ready (spinner, requests, fonts, images, layout); steps that hit it are marked degraded' },
+  { flag: '--delay', key: 'delay', type: 'number', arg: '<ms>', default: 0, min: 0, commands: ['capture', 'batch', 'serve'],
+    desc: 'Extra fixed wait after the registrant page is ready (normally not needed)' },
+  { flag: '--viewport', key: 'viewport', type: 'viewport', arg: '<WxH>', default: { width: 1600, height: 1200 }, commands: ['login', 'capture', 'batch', 'serve'],
+    desc: 'Browser viewport, e.g. 1600x1200' },
+  { flag: '--pdf', key: 'pdf', type: 'bool', value: true, default: false, commands: ['capture', 'batch', 'serve'],
+    desc: 'Also save a PDF of every full-page capture (headless only)' },
+  { flag: '--headless', key: 'headless', type: 'bool', value: true, default: false, commands: ['capture', 'batch', 'serve'],
+    desc: 'Run Chromium without a window (servers, containers)' },
+  { flag: '--headed', key: 'headless', type: 'bool', value: false, commands: ['capture', 'batch', 'serve'],
+    desc: 'Show the Chromium window (default)' },
+  { flag: '--resume', key: 'resume', type: 'bool', value: true, default: false, commands: ['capture', 'batch'],
+    desc: 'Skip registrants/steps already completed in <out>/ledger.jsonl' },
+  { flag: '--concurrency', key: 'concurrency', type: 'int', arg: '<n>', default: 1, min: 1, commands: ['capture', 'batch'],
+    desc: 'Parallel browser contexts' },
+  { flag: '--rate', key: 'rate', type: 'number', arg: '<n>', default: 2, min: 0, commands: ['capture', 'batch', 'serve'],
+    desc: 'Max page navigations per second across all workers, 0 = unlimited' },
+  { flag: '--retries', key: 'retries', type: 'int', arg: '<n>', default: 3, min: 1, commands: ['capture', 'batch', 'serve'],
+    desc: 'Max attempts per navigation / step / upload' },
+  { flag: '--retry-delay', key: 'retryDelay', type: 'number', arg: '<ms>', default: 1000, min: 0, commands: ['capture', 'batch', 'serve'],
+    desc: 'Base backoff between attempts (doubles each time)' },
+  { flag: '--sink', key: 'sink', type: 'string', arg: `<${SINKS.join('|')}>`, default: 'azure', choices: SINKS, commands: ['capture', 'batch', 'serve'],
+    desc: 'Where zips and reports are stored' },
+  { flag: '--sink-dir', key: 'sinkDir', type: 'string', arg: '<dir>', default: null, commands: ['capture', 'batch', 'serve'],
+    desc: 'Folder for --sink local (default <out>/zips)' },
+  { flag: '--blob-name', key: 'blobName', type: 'string', arg: '<template>', default: DEFAULT_BLOB_NAME, commands: ['capture', 'batch', 'serve'],
+    desc: 'Zip name in the sink: {eventId} {regId} {runId} {date} {profile}' },
+  { flag: '--if-exists', key: 'ifExists', type: 'string', arg: `<${IF_EXISTS.join('|')}>`, default: 'version', choices: IF_EXISTS, commands: ['capture', 'batch', 'serve'],
+    desc: 'When the blob name is taken: upload as <name>.v2.zip, skip the registrant, or replace it' },
+  { flag: '--compare-with', key: 'compareWith', type: 'string', arg: '<runId|prefix>', default: null, commands: ['capture', 'batch'],
+    desc: "Pixel-diff each step against the registrant's zip from that run (or newest under that blob prefix)" },
+  { flag: '--diff-threshold', key: 'diffThreshold', type: 'number', arg: '<ratio>', default: 0.001, min: 0, commands: ['capture', 'batch'],
+    desc: 'With --compare-with: share of pixels that must differ for a step to count as changed' },
+  { flag: '--no-interactive', key: 'interactive', type: 'bool', value: false, default: true, commands: ['capture', 'batch', 'serve'],
+    desc: 'Stop on an expired session instead of reopening the login window' },
+  { flag: '--block-on-invalid', key: 'blockOnInvalid', type: 'bool', value: true, default: false, commands: ['capture', 'batch', 'serve'],
+    desc: "Don't upload registrants with a step that failed its content checks" },
+  { flag: '--encrypt-key', key: 'encryptKey', type: 'string', arg: '<public.pem>', default: null, commands: ['capture', 'batch', 'serve'],
+    desc: 'Encrypt zips for this RSA public key (<regId>.zip.enc)' },
+  { flag: '--encrypt-password', key: 'encryptPassword', type: 'bool', value: true, default: false, commands: ['capture', 'batch', 'serve'],
+    desc: `Encrypt zips with the password in ${PASSWORD_ENV}` },
+  { flag: '--port', key: 'port', type: 'int', arg: '<n>', default: 8080, min: 1, commands: ['serve'],
+    desc: 'Port for the HTTP API' },
+  { flag: '--host', key: 'host', type: 'string', arg: '<address>', default: '127.0.0.1', commands: ['serve'],
+    desc: 'Address to listen on (0.0.0.0 to accept other machines; set CAPTURE_API_TOKEN then)' },
+  { flag: '--profiles-dir', key: 'profilesDir', type: 'string', arg: '<dir>', default: 'profiles', commands: ['serve'],
+    desc: 'Where the profiles named in API jobs are looked up (<name>.json / .yaml)' },
+  { flag: '--key', key: 'key', type: 'string', arg: '<private.pem>', default: null, commands: ['decrypt'],
+    desc: `Private key for public-key files (passphrase in ${KEY_PASSPHRASE_ENV}, if any)` },
+  { flag: '--out-dir', key: 'decryptDir', type: 'string', arg: '<dir>', default: null, commands: ['decrypt'],
+    desc: 'Where to write the decrypted zips (default next to each file)' },
+  { flag: '--help', alias: '-h', key: 'help', type: 'bool', value: true, default: false, commands: Object.keys(COMMANDS),
+    desc: 'Show this help' },
+];
+
+const ENV_VARS = [
+  ['AZURE_BLOB_CONTAINER', '--sink azure: container name'],
+  ['AZURE_STORAGE_CONNECTION_STRING', '--sink azure: connection string (or AZURE_BLOB_SAS_URL)'],
+  ['AZURE_BLOB_SAS_URL', '--sink azure: container SAS URL'],
+  ['S3_BUCKET', '--sink s3: bucket'],
+  ['S3_ENDPOINT', '--sink s3: custom endpoint, e.g. MinIO (optional)'],
+  ['S3_REGION / AWS_REGION', '--sink s3: region (default us-east-1)'],
+  ['S3_PREFIX', '--sink s3: key prefix (optional)'],
+  ['SWOOGO_API_KEY', '--event: REST API key (without it the listing pages are read)'],
+  ['SWOOGO_API_SECRET', '--event: REST API secret'],
+  [PASSWORD_ENV, '--encrypt-password / decrypt: zip password'],
+  [KEY_PASSPHRASE_ENV, 'decrypt: passphrase of the --key private key (optional)'],
+  [API_TOKEN_ENV, 'serve: bearer token every API call except /health must send (optional)'],
+];
+
+// Levenshtein distance, for "did you mean" hints
+function distance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function suggest(flag) {
+  const best = OPTIONS.map((o) => [o.flag, distance(flag, o.flag)]).sort((x, y) => x[1] - y[1])[0];
+  return best && best[1] <= 3 ? ` (did you mean ${best[0]}?)` : '';
+}
+
+function convert(opt, raw, problems) {
+  if (raw === undefined || (typeof raw === 'string' && raw.startsWith('--'))) {
+    problems.push(`${opt.flag} needs a value ${opt.arg || ''}`.trim());
+    return undefined;
+  }
+  if (opt.type === 'viewport') {
+    const m = /^(\d+)x(\d+)$/i.exec(raw);
+    if (!m) { problems.push(`${opt.flag} must look like 1600x1200, got "${raw}"`); return undefined; }
+    return { width: Number(m[1]), height: Number(m[2]) };
+  }
+  if (opt.type === 'number' || opt.type === 'int') {
+    const n = Number(raw);
+    if (raw === '' || !Number.isFinite(n) || (opt.type === 'int' && !Number.isInteger(n))) {
+      problems.push(`${opt.flag} must be ${opt.type === 'int' ? 'a whole number' : 'a number'}, got "${raw}"`);
+      return undefined;
+    }
+    if (opt.min != null && n < opt.min) { problems.push(`${opt.flag} must be at least ${opt.min}`); return undefined; }
+    return n;
+  }
+  if (opt.type === 'date') {
+    if (!Number.isFinite(Date.parse(raw))) { problems.push(`${opt.flag} must be a date like 2025-09-01, got "${raw}"`); return undefined; }
+    return raw;
+  }
+  if (opt.type === 'regex') {
+    try { new RegExp(raw, 'i'); } catch (e) { problems.push(`${opt.flag}: ${e.message}`); return undefined; }
+    return raw;
+  }
+  const v = String(raw).trim();
+  if (opt.choices && !opt.choices.includes(v.toLowerCase())) {
+    problems.push(`${opt.flag} must be one of ${opt.choices.join(', ')}, got "${raw}"`);
+    return undefined;
+  }
+  return opt.choices ? v.toLowerCase() : v;
+}
+
+// Problems with a capture run's options (also run per event of a batch job file)
+function checkCaptureOptions(opts, env = process.env) {
+  const problems = [];
+  if (!opts.in === !opts.event) problems.push(opts.in ? 'Use either --in or --event, not both' : 'Missing --in <file.csv> (or --event <id>)');
+  if (!opts.event && ['status', 'regType', 'registeredFrom', 'registeredTo'].some((k) => opts[k] != null)) {
+    problems.push('--status / --reg-type / --registered-from / --registered-to only apply with --event');
+  }
+  if (opts.event && !env.SWOOGO_API_KEY !== !env.SWOOGO_API_SECRET) problems.push('SWOOGO_API_KEY and SWOOGO_API_SECRET must be set together');
+  if (opts.in && !fs.existsSync(opts.in)) problems.push(`--in: file not found: ${opts.in}`);
+  return problems.concat(checkRunOptions(opts, env));
+}
+
+// The checks capture and serve share: profiles, session, output, encryption, sink
+function checkRunOptions(opts, env) {
+  const problems = [];
+  if (opts.profile && !fs.existsSync(opts.profile)) problems.push(`--profile: file not found: ${opts.profile}`);
+  if (opts.redactionProfile && !fs.existsSync(opts.redactionProfile)) problems.push(`--redaction-profile: file not found: ${opts.redactionProfile}`);
+  if (opts.auth && !fs.existsSync(opts.auth)) problems.push(`--auth: ${opts.auth} not found (run "node capture.js login --auth ${opts.auth}" first)`);
+  if (opts.pdf && !opts.headless) problems.push('--pdf needs --headless (Chromium only prints PDFs headless)');
+  if (opts.encryptKey && opts.encryptPassword) problems.push('Use either --encrypt-key or --encrypt-password, not both');
+  if (opts.encryptKey && !fs.existsSync(opts.encryptKey)) problems.push(`--encrypt-key: file not found: ${opts.encryptKey}`);
+  if (opts.encryptPassword && !env[PASSWORD_ENV]) problems.push(`--encrypt-password needs ${PASSWORD_ENV} to be set`);
+  if (opts.compareWith && (opts.encryptKey || opts.encryptPassword)) {
+    problems.push("--compare-with doesn't work with --encrypt-key / --encrypt-password (the prior zips are encrypted too)");
+  }
+  problems.push(...checkSinkEnv(opts.sink, env));
+  problems.push(...checkBlobTemplate(opts.blobName));
+  if (opts.diffThreshold > 1) problems.push('--diff-threshold is a ratio between 0 and 1, e.g. 0.001 for 0.1%');
+  return problems;
+}
+
+// Returns { command, opts, positional, explicit, given } (given: keys set on the command line).
+// Throws CliError listing every problem found.
+function parseCli(argv, env = process.env) {
+  const args = [...argv];
+  let command = 'capture';
+  const explicit = !!(args[0] && !args[0].startsWith('-'));
+  if (explicit) {
+    command = args.shift();
+    if (!COMMANDS[command]) throw new CliError(`Unknown command "${command}" (expected one of: ${Object.keys(COMMANDS).join(', ')})`);
+  } else if (args.includes('--save-session')) {
+    command = 'login'; // legacy spelling
+    args.splice(args.indexOf('--save-session'), 1);
+  }
+
+  const opts = {};
+  for (const o of OPTIONS) if (o.default !== undefined && !(o.key in opts)) opts[o.key] = o.default;
+  const given = new Set();
+  const positional = [];
+  const problems = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (!a.startsWith('-')) { positional.push(a); continue; }
+    const [flag, inline] = a.includes('=') ? [a.slice(0, a.indexOf('=')), a.slice(a.indexOf('=') + 1)] : [a, undefined];
+    const opt = OPTIONS.find((o) => o.flag === flag || o.alias === flag);
+    if (!opt) { problems.push(`Unknown option ${flag}${suggest(flag)}`); continue; }
+    if (!opt.commands.includes(command)) { problems.push(`${opt.flag} doesn't apply to "${command}"`); continue; }
+    given.add(opt.key);
+    if (opt.type === 'bool') { opts[opt.key] = opt.value; continue; }
+    const v = convert(opt, inline !== undefined ? inline : args[++i], problems);
+    if (v !== undefined) opts[opt.key] = v;
+  }
+  if (opts.help) return { command, opts, positional, explicit, given };
+
+  const takesFiles = ['verify', 'decrypt', 'batch'].includes(command);
+  if (command === 'verify' && positional.length === 0) problems.push('verify needs at least one <registrant.zip>');
+  if (command === 'decrypt' && positional.length === 0) problems.push('decrypt needs at least one <registrant.zip.enc>');
+  if (command === 'batch' && positional.length !== 1) problems.push('batch needs exactly one <jobs.yaml>');
+  if (!takesFiles && positional.length) problems.push(`Unexpected argument(s): ${positional.join(' ')}`);
+  if (takesFiles) for (const f of positional) if (!fs.existsSync(f)) problems.push(`${f}: file not found`);
+  for (const o of OPTIONS) {
+    if (o.required && o.commands.includes(command) && opts[o.key] == null) problems.push(`Missing ${o.flag} ${o.arg}`);
+  }
+
+  if (command === 'capture') problems.push(...checkCaptureOptions(opts, env));
+  if (command === 'serve') {
+    problems.push(...checkRunOptions(opts, env));
+    if (opts.profilesDir && !fs.existsSync(opts.profilesDir)) problems.push(`--profiles-dir: folder not found: ${opts.profilesDir}`);
+    if (opts.port > 65535) problems.push('--port must be at most 65535');
+  }
+  // batch: the per-event checks run once the job file is read (lib/jobs.js)
+  if (command === 'decrypt' && opts.key && !fs.existsSync(opts.key)) problems.push(`--key: file not found: ${opts.key}`);
+  if (command === 'decrypt' && opts.decryptDir && fs.existsSync(opts.decryptDir) && !fs.statSync(opts.decryptDir).isDirectory()) {
+    problems.push(`--out-dir: ${opts.decryptDir} is a file, not a folder`);
+  }
+  if (command === 'login') opts.auth = opts.auth || 'auth.json';
+
+  if (problems.length) throw new CliError(problems.join('\n'));
+  return { command, opts, positional, explicit, given };
+}
+
+function helpText(command) {
+  const script = `node ${path.basename(process.argv[1] || 'capture.js')}`;
+  const lines = ['Swoogo registrant evidence capture', '', 'Usage:'];
+  for (const [name, c] of Object.entries(COMMANDS)) {
+    if (!command || command === name) lines.push(`  ${script} ${c.usage}`.padEnd(62) + `  ${c.summary}`);
+  }
+  lines.push('', 'Options:');
+  for (const o of OPTIONS) {
+    if (command && !o.commands.includes(command)) continue;
+    const left = `  ${o.alias ? o.alias + ', ' : ''}${o.flag}${o.arg ? ' ' + o.arg : ''}`;
+    const dflt = o.default != null && o.default !== false && o.default !== '' && o.type !== 'bool'
+      ? ` (default ${o.type === 'viewport' ? `${o.default.width}x${o.default.height}` : o.default})` : '';
+    const where = command ? '' : `  [${o.commands.join(', ')}]`;
+    lines.push(left.padEnd(34) + o.desc + dflt + where);
+  }
+  if (!command || ['capture', 'batch', 'serve', 'decrypt'].includes(command)) {
+    lines.push('', 'Environment:');
+    for (const [name, desc] of ENV_VARS) lines.push(`  ${name}`.padEnd(34) + desc);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { parseCli, helpText, checkCaptureOptions, CliError, COMMANDS, OPTIONS };
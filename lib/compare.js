@@ -0,0 +1,158 @@
+/**
+ * Visual diff against an earlier capture of the same registrant (--compare-with).
+ * -------------------------------------------------------------
+ * --compare-with takes a run id (20250907-142501) or a blob prefix:
+ *  - run id: reports/<runId>/report.json (local <out>/reports first, else from the sink)
+ *    says which blob each registrant went to
+ *  - prefix: the newest blob under it whose name has the registrant id as a path segment
+ *    or file name (<regId>.zip, <regId>.v3.zip, 255274/<regId>/<runId>.zip, ...)
+ * Either way a registrant is looked up by event id and registrant id (ids repeat across
+ * events); a prior blob whose event isn't known – a prefix listing without an event id
+ * folder above the registrant – matches on the registrant id alone.
+ *
+ * The prior zip is downloaded, and every PNG of this capture is compared with the file of
+ * the same name in it – in a blank page of the browser context, like the report thumbnails.
+ * Diff images (changed pixels in red over a faded copy of the new capture) are written to
+ * <out>/reports/<runId>/diffs/, and each step gets changed / unchanged / new in the report.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { isEncryptedFile } = require('./encrypt');
+const { eventIdFromUrl } = require('./registrants');
+
+const RUN_ID = /^\d{8}-\d{6}$/;
+const PIXEL_TOLERANCE = 48; // summed RGB difference below which a pixel counts as the same
+
+// index key of a prior blob: <eventId>/<regId>, or /<regId> when its event isn't known
+const priorKey = (eventId, regId) => `${eventId || ''}/${regId}`;
+
+// Returns async (regId, eventId) → blobName | null, reading the run report / blob listing only once
+function createPriorLocator(sink, compareWith, outRoot) {
+  let index = null;
+  async function load() {
+    if (RUN_ID.test(compareWith)) {
+      const local = path.join(outRoot, 'reports', compareWith, 'report.json');
+      let file = local;
+      if (!fs.existsSync(local)) {
+        file = path.join(os.tmpdir(), `report-${compareWith}.json`);
+        await sink.download(`reports/${compareWith}/report.json`, file);
+      }
+      const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+      // reports from before blob names were recorded: the old fixed <regId>.zip name
+      return new Map(report.registrants.filter((r) => r.registrantId && r.blobUrl)
+        .map((r) => [priorKey(eventIdFromUrl(r.url || ''), r.registrantId), r.blobName || `${r.registrantId}.zip`]));
+    }
+    const names = (await sink.list(compareWith)).filter((n) => /\.zip(\.enc)?$/i.test(n) && !/(^|\/)reports\//.test(n));
+    // <name>.zip counts as version 1, so <name>.v2.zip sorts after it; run ids and dates sort by themselves
+    const sortKey = (n) => n.replace(/(?:\.v(\d+))?(\.zip(?:\.enc)?)$/i, (m, v) => `.v${String(v || 1).padStart(6, '0')}`);
+    const byId = new Map();
+    for (const n of names.sort((x, y) => sortKey(x).localeCompare(sortKey(y)))) {
+      const parts = n.split('/');
+      parts[parts.length - 1] = parts[parts.length - 1].replace(/(\.v\d+)?\.zip(\.enc)?$/i, '');
+      // the file name when it's the registrant id, else the closest folder that looks like one;
+      // a numeric folder right above it is the event ({eventId}/{regId}.zip)
+      const at = parts.map((p) => /^\d+$/.test(p)).lastIndexOf(true);
+      if (at < 0) continue;
+      const eventId = at > 0 && /^\d+$/.test(parts[at - 1]) ? parts[at - 1] : null;
+      byId.set(priorKey(eventId, parts[at]), n); // sorted, so the newest wins
+    }
+    return byId;
+  }
+  return async (regId, eventId) => {
+    if (!index) index = load();
+    const byKey = await index;
+    return byKey.get(priorKey(eventId, regId)) || byKey.get(priorKey(null, regId)) || null;
+  };
+}
+
+// Runs in a blank page: compares two PNGs (base64); returns { width, height, changed, sizeChanged, diff }
+async function diffInPage({ before, after, tolerance }) {
+  const load = async (b64) => { const img = new Image(); img.src = 'data:image/png;base64,' + b64; await img.decode(); return img; };
+  const [a, b] = await Promise.all([load(before), load(after)]);
+  const width = Math.max(a.naturalWidth, b.naturalWidth);
+  const height = Math.max(a.naturalHeight, b.naturalHeight);
+  const pixels = (img) => {
+    const c = document.createElement('canvas');
+    c.width = width; c.height = height;
+    const ctx = c.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+    return ctx.getImageData(0, 0, width, height).data;
+  };
+  const pa = pixels(a);
+  const pb = pixels(b);
+  const out = document.createElement('canvas');
+  out.width = width; out.height = height;
+  const octx = out.getContext('2d');
+  const od = octx.createImageData(width, height);
+  let changed = 0;
+  for (let i = 0; i < pa.length; i += 4) {
+    const d = Math.abs(pa[i] - pb[i]) + Math.abs(pa[i + 1] - pb[i + 1]) + Math.abs(pa[i + 2] - pb[i + 2]) + Math.abs(pa[i + 3] - pb[i + 3]);
+    if (d > tolerance) {
+      changed++;
+      od.data[i] = 255; od.data[i + 1] = 0; od.data[i + 2] = 0; od.data[i + 3] = 255;
+    } else {
+      const grey = 255 - (255 - (pb[i] + pb[i + 1] + pb[i + 2]) / 3) * 0.25;
+      od.data[i] = od.data[i + 1] = od.data[i + 2] = grey; od.data[i + 3] = 255;
+    }
+  }
+  octx.putImageData(od, 0, 0);
+  const sizeChanged = a.naturalWidth !== b.naturalWidth || a.naturalHeight !== b.naturalHeight;
+  return { width, height, changed, sizeChanged, diff: changed ? out.toDataURL('image/png') : null };
+}
+
+// steps: ledger step entries of this capture; only captured steps whose files are still in regDir
+// are compared. Diff images go to diffDir (none without one), in subdir like the thumbnails.
+// Returns { blobName, steps: { [step]: { status, files } } } or { blobName: null } when there's
+// nothing to compare with.
+async function compareRegistrant({ context, sink, locate, regId, eventId = null, regDir, steps, diffDir, subdir = '', threshold }) {
+  const blobName = await locate(regId, eventId);
+  if (!blobName) return { blobName: null, steps: {} };
+
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), `prior-${regId}-`));
+  const page = await context.newPage();
+  try {
+    const zipPath = path.join(tmp, 'prior.zip');
+    await sink.download(blobName, zipPath);
+    if (isEncryptedFile(zipPath)) throw new Error(`${blobName} is encrypted – can't compare with it`);
+    const prior = new Map(new AdmZip(zipPath).getEntries().filter((e) => !e.isDirectory).map((e) => [e.entryName, e]));
+
+    const result = {};
+    for (const entry of Object.values(steps)) {
+      if (!['ok', 'invalid'].includes(entry.status)) continue;
+      const pngs = (entry.files || []).filter((f) => /\.png$/i.test(f) && !f.includes('/') && fs.existsSync(path.join(regDir, f)));
+      if (!pngs.length) continue;
+      const files = [];
+      for (const f of pngs) {
+        const before = prior.get(f);
+        if (!before) { files.push({ file: f, status: 'new' }); continue; }
+        const res = await page.evaluate(diffInPage, {
+          before: before.getData().toString('base64'),
+          after: fs.readFileSync(path.join(regDir, f)).toString('base64'),
+          tolerance: PIXEL_TOLERANCE,
+        });
+        const ratio = res.changed / (res.width * res.height);
+        const changed = res.sizeChanged || ratio > threshold;
+        let diff;
+        if (res.diff && changed && diffDir) {
+          const name = f.replace(/\.png$/i, '_diff.png');
+          fs.mkdirSync(path.join(diffDir, subdir), { recursive: true });
+          fs.writeFileSync(path.join(diffDir, subdir, name), Buffer.from(res.diff.split(',')[1], 'base64'));
+          diff = path.posix.join('diffs', subdir, name);
+        }
+        files.push({ file: f, status: changed ? 'changed' : 'unchanged', changedRatio: Number(ratio.toFixed(5)), sizeChanged: res.sizeChanged, diff });
+      }
+      const status = files.some((x) => x.status === 'changed') ? 'changed'
+        : files.every((x) => x.status === 'new') ? 'new' : 'unchanged';
+      result[entry.step] = { status, files };
+    }
+    return { blobName, steps: result };
+  } finally {
+    await page.close().catch(() => {});
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+module.exports = { createPriorLocator, compareRegistrant, diffInPage };
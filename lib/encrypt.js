@@ -0,0 +1,127 @@
+/**
+ * Client-side encryption of registrant zips (--encrypt-key / --encrypt-password).
+ * -------------------------------------------------------------
+ * The zip is streamed straight through AES-256-GCM, so neither the temp file nor the
+ * uploaded blob ever holds plaintext. File layout (<regId>.zip.enc):
+ *
+ *   "SWOOGO-CAPTURE-ENC/1\n" + header JSON + "\n" + ciphertext + 16-byte GCM tag
+ *
+ * header: { alg, iv, key: { type: 'rsa-oaep-sha256', wrapped, fingerprint }      (public key)
+ *                     or { type: 'scrypt', salt, N, r, p } }                       (password)
+ * The header is authenticated too (GCM additional data), so it can't be swapped.
+ * `decryptFile` reverses it with the private key or the password.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const MAGIC = 'SWOOGO-CAPTURE-ENC/1\n';
+const PASSWORD_ENV = 'EVIDENCE_ZIP_PASSWORD';
+const KEY_PASSPHRASE_ENV = 'EVIDENCE_KEY_PASSPHRASE';
+const SCRYPT = { N: 1 << 15, r: 8, p: 1 };
+const scryptKey = (password, salt, { N, r, p }) => crypto.scryptSync(password, salt, 32, { N, r, p, maxmem: 128 * N * r * 2 });
+
+// SHA-256 of the DER public key, so recipients can tell which key a file needs
+const fingerprint = (publicKey) =>
+  crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex');
+
+// { keyFile } (RSA public key PEM) or { password }; throws if the key can't be used
+function createEncryption({ keyFile, password }) {
+  if (keyFile) {
+    const publicKey = crypto.createPublicKey(fs.readFileSync(keyFile));
+    if (publicKey.asymmetricKeyType !== 'rsa') throw new Error(`${keyFile}: expected an RSA public key, got ${publicKey.asymmetricKeyType}`);
+    if (publicKey.asymmetricKeyDetails.modulusLength < 2048) throw new Error(`${keyFile}: RSA key must be at least 2048 bits`);
+    const fp = fingerprint(publicKey);
+    return {
+      describe: () => `RSA public key ${fp.slice(0, 16)}…`,
+      newKey() {
+        const key = crypto.randomBytes(32);
+        const wrapped = crypto.publicEncrypt({ key: publicKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' }, key);
+        return { key, header: { type: 'rsa-oaep-sha256', wrapped: wrapped.toString('base64'), fingerprint: fp } };
+      },
+    };
+  }
+  if (!password) throw new Error(`no password (set ${PASSWORD_ENV})`);
+  return {
+    describe: () => 'password (scrypt)',
+    newKey() {
+      const salt = crypto.randomBytes(16);
+      return { key: scryptKey(password, salt, SCRYPT), header: { type: 'scrypt', salt: salt.toString('base64'), ...SCRYPT } };
+    },
+  };
+}
+
+// Returns { input, done }: write the plaintext into `input` (a stream); `done` resolves once
+// outPath is complete, tag included.
+function encryptTo(encryption, outPath) {
+  const { key, header: keyHeader } = encryption.newKey();
+  const iv = crypto.randomBytes(12);
+  const headerBuf = Buffer.from(MAGIC + JSON.stringify({ alg: 'aes-256-gcm', iv: iv.toString('base64'), key: keyHeader }) + '\n');
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(headerBuf);
+  const out = fs.createWriteStream(outPath);
+  out.write(headerBuf);
+  cipher.pipe(out, { end: false });
+  cipher.on('end', () => out.end(cipher.getAuthTag()));
+  const done = new Promise((resolve, reject) => {
+    out.on('close', () => resolve(outPath));
+    out.on('error', reject);
+    cipher.on('error', reject);
+  });
+  return { input: cipher, done };
+}
+
+const isEncryptedFile = (fp) => {
+  const fd = fs.openSync(fp, 'r');
+  try {
+    const buf = Buffer.alloc(MAGIC.length);
+    fs.readSync(fd, buf, 0, buf.length, 0);
+    return buf.toString() === MAGIC;
+  } finally { fs.closeSync(fd); }
+};
+
+// Reads the header without decrypting: { alg, iv, key }
+function readHeader(buf) {
+  if (buf.subarray(0, MAGIC.length).toString() !== MAGIC) throw new Error('not an encrypted evidence file');
+  const end = buf.indexOf(0x0a, MAGIC.length);
+  if (end < 0) throw new Error('truncated header');
+  return { header: JSON.parse(buf.subarray(MAGIC.length, end).toString('utf8')), headerEnd: end + 1 };
+}
+
+// { privateKeyFile, passphrase } for public-key files, { password } for password files.
+// Writes the zip to outPath; throws if the key is wrong or the file was altered.
+function decryptFile(inPath, outPath, { privateKeyFile, passphrase, password } = {}) {
+  const buf = fs.readFileSync(inPath);
+  const { header, headerEnd } = readHeader(buf);
+  let key;
+  if (header.key.type === 'rsa-oaep-sha256') {
+    if (!privateKeyFile) throw new Error(`encrypted for RSA key ${header.key.fingerprint.slice(0, 16)}… – pass --key <private.pem>`);
+    const privateKey = crypto.createPrivateKey({ key: fs.readFileSync(privateKeyFile), passphrase });
+    const fp = fingerprint(crypto.createPublicKey(privateKey));
+    if (fp !== header.key.fingerprint) throw new Error(`encrypted for key ${header.key.fingerprint.slice(0, 16)}…, not ${fp.slice(0, 16)}…`);
+    try {
+      key = crypto.privateDecrypt({ key: privateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+        Buffer.from(header.key.wrapped, 'base64'));
+    } catch {
+      throw new Error('could not unwrap the file key – the header was altered');
+    }
+  } else if (header.key.type === 'scrypt') {
+    if (!password) throw new Error(`password-encrypted – set ${PASSWORD_ENV}`);
+    key = scryptKey(password, Buffer.from(header.key.salt, 'base64'), header.key);
+  } else {
+    throw new Error(`unknown key type "${header.key.type}"`);
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(header.iv, 'base64'));
+  decipher.setAAD(buf.subarray(0, headerEnd));
+  decipher.setAuthTag(buf.subarray(buf.length - 16));
+  let plain;
+  try {
+    plain = Buffer.concat([decipher.update(buf.subarray(headerEnd, buf.length - 16)), decipher.final()]);
+  } catch {
+    throw new Error('decryption failed – wrong password/key, or the file was altered');
+  }
+  fs.writeFileSync(outPath, plain);
+  return outPath;
+}
+
+module.exports = { createEncryption, encryptTo, decryptFile, isEncryptedFile, readHeader, PASSWORD_ENV, KEY_PASSPHRASE_ENV };
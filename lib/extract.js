@@ -0,0 +1,136 @@
+/**
+ * Structured field extraction – labelled values read off the pages we already capture.
+ * -------------------------------------------------------------
+ * A profile step lists the fields to read from its page (or `extract: true` for all of them):
+ *
+ *   extract: [status, name, email, company, registrationType]
+ *
+ * Label/value pairs are collected from <dl>, table rows, <label>s, "Label: value" text lines
+ * and "label"-classed elements in every frame, then matched against the known labels below.
+ * A few fields fall back to a pattern over the page text (email, invoice number, amount).
+ *
+ * Values are recorded per step in the ledger, merged per registrant into <regId>__fields.json
+ * (inside the zip, listed in the manifest) and into fields.csv in the run report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// field → labels it may appear under (lowercase, without the trailing colon), most specific first
+const FIELDS = {
+  status: ['attendance status', 'registration status', 'registrant status', 'status'],
+  name: ['full name', 'name', 'attendee name', 'registrant name'],
+  email: ['email', 'email address', 'e-mail', 'e-mail address'],
+  company: ['company', 'company name', 'organization', 'organisation'],
+  registrationType: ['registration type', 'registrant type', 'attendee type', 'ticket type', 'reg type'],
+  invoiceNumber: ['invoice #', 'invoice number', 'invoice no', 'invoice no.', 'invoice id'],
+  amount: ['total', 'grand total', 'total amount', 'amount', 'total due', 'amount due'],
+  paymentStatus: ['payment status', 'paid status', 'payment'],
+};
+const FIELD_NAMES = Object.keys(FIELDS);
+
+// fallbacks over the whole page text, first capture group is the value
+const TEXT_PATTERNS = {
+  email: /([A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,})/i,
+  invoiceNumber: /invoice\s*(?:#|no\.?|number|id)\s*:?\s*([A-Z0-9][A-Z0-9-]*)/i,
+  amount: /\btotal\b[^\d\n]{0,20}?([$€£]?\s?\d[\d,]*(?:\.\d{2})?(?:\s?[A-Z]{3})?)/i,
+};
+
+const normLabel = (s) => String(s || '').replace(/\s+/g, ' ').replace(/[\s:*]+$/, '').trim().toLowerCase();
+
+// Runs in the page: every plausible [label, value] pair, plus the visible text
+function collectPairs() {
+  const clean = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+  const pairs = [];
+  const add = (label, value) => {
+    label = clean(label); value = clean(value);
+    if (label && value && label.length <= 60 && value !== label) pairs.push([label, value]);
+  };
+  const textOf = (el) => (['INPUT', 'TEXTAREA'].includes(el.tagName) ? el.value : el.innerText);
+
+  document.querySelectorAll('dt').forEach((dt) => {
+    const dd = dt.nextElementSibling;
+    if (dd && dd.tagName === 'DD') add(dt.innerText, dd.innerText);
+  });
+  document.querySelectorAll('tr').forEach((tr) => {
+    const cells = [...tr.children];
+    for (let i = 0; i + 1 < cells.length; i++) add(cells[i].innerText, cells[i + 1].innerText);
+  });
+  document.querySelectorAll('label').forEach((l) => {
+    const target = l.htmlFor ? document.getElementById(l.htmlFor) : l.nextElementSibling;
+    if (target) add(l.innerText, target.tagName === 'SELECT' ? target.selectedOptions[0]?.text : textOf(target));
+  });
+  document.querySelectorAll('[class*="label" i], [class*="-key" i]').forEach((el) => {
+    if (el.nextElementSibling) add(el.innerText, el.nextElementSibling.innerText);
+  });
+  const text = document.body ? document.body.innerText : '';
+  const lines = text.split('\n').map(clean).filter(Boolean);
+  lines.forEach((line, i) => {
+    const m = line.match(/^([^:]{1,60}):\s*(.+)$/);
+    if (m) add(m[1], m[2]);
+    else if (line.endsWith(':') && lines[i + 1]) add(line, lines[i + 1]);
+  });
+  return { pairs, text };
+}
+
+// fields: array of names or true (all). Returns { [field]: value } for the fields that were found.
+async function extractFields(page, fields, { name } = {}) {
+  const wanted = fields === true ? FIELD_NAMES : fields.filter((f) => FIELDS[f]);
+  const pairs = [];
+  let text = '';
+  for (const frame of page.frames()) {
+    const res = await frame.evaluate(collectPairs).catch(() => null);
+    if (!res) continue;
+    pairs.push(...res.pairs);
+    text += '\n' + res.text;
+  }
+  const byLabel = new Map();
+  for (const [label, value] of pairs) {
+    const key = normLabel(label);
+    if (!byLabel.has(key)) byLabel.set(key, value);
+  }
+
+  const out = {};
+  for (const field of wanted) {
+    let value = FIELDS[field].map((l) => byLabel.get(l)).find(Boolean) || null;
+    if (field === 'email' && value) value = (value.match(TEXT_PATTERNS.email) || [])[1] || null;
+    if (!value && TEXT_PATTERNS[field]) value = (text.match(TEXT_PATTERNS[field]) || [])[1] || null;
+    if (!value && field === 'name') {
+      const parts = [byLabel.get('first name'), byLabel.get('last name')].filter(Boolean);
+      value = parts.length ? parts.join(' ') : name || null;
+    }
+    if (value) out[field] = value.trim();
+  }
+  return out;
+}
+
+// Ledger step entries → one { fields, sources } per registrant; earlier profile steps win
+function mergeFields(profileSteps, ledgerSteps) {
+  const fields = {};
+  const sources = {};
+  for (const s of profileSteps) {
+    const e = ledgerSteps && ledgerSteps[s.step];
+    if (!e || !e.fields) continue;
+    for (const [k, v] of Object.entries(e.fields)) {
+      if (v && !(k in fields)) { fields[k] = v; sources[k] = s.step; }
+    }
+  }
+  return { fields, sources };
+}
+
+// Names of the fields any step of the profile extracts, in FIELD_NAMES order
+function profileFieldNames(profile) {
+  const names = new Set(profile.steps.flatMap((s) => (s.extract === true ? FIELD_NAMES : s.extract || [])));
+  return FIELD_NAMES.filter((f) => names.has(f));
+}
+
+// <regId>__fields.json in the registrant folder; returns its file name, or null if nothing was found
+function writeFieldsFile(regDir, baseName, { regId, registrantUrl, fields, sources }) {
+  if (!Object.keys(fields).length) return null;
+  const file = `${baseName}__fields.json`;
+  const body = { registrantId: regId, registrantUrl, extractedAt: new Date().toISOString(), fields, sources };
+  fs.writeFileSync(path.join(regDir, file), JSON.stringify(body, null, 2));
+  return file;
+}
+
+module.exports = { FIELDS, FIELD_NAMES, extractFields, mergeFields, profileFieldNames, writeFieldsFile, normLabel };
@@ -0,0 +1,127 @@
+/**
+ * Batch job files – several events in one run (`batch <jobs.yaml>`).
+ * -------------------------------------------------------------
+ * JSON or YAML. Every event is a normal capture run with its own input, profile, output folder
+ * and sink; the command line's options are the defaults. Events run one after another in one
+ * browser with one login (a re-login during event 2 carries over to event 3).
+ *
+ *   events:
+ *     - eventId: "255274"              # required
+ *       in: gala-registrants.csv       # registrant CSV; leave out to read the event's registrants
+ *       status: registered             #   (API / listing) – filters as --status, --reg-type,
+ *                                      #   --registered-from, --registered-to (regType, registeredFrom, registeredTo)
+ *       profile: profiles/gala.yaml    # default: --profile
+ *       redactionProfile: profiles/redaction-external.json
+ *       out: gala-2025                 # folder under --out (default: the event id)
+ *       sink:                          # default: --sink and its environment variables
+ *         type: s3
+ *         bucket: evidence-gala        #   s3: bucket, prefix, endpoint, region
+ *         prefix: 2025/gala            #   azure: container (credentials stay in the environment)
+ *                                      #   local: dir
+ *       blobName: "{eventId}/{regId}.zip"   # default here {eventId}/{regId}.zip, unless --blob-name is given
+ *       ifExists: skip
+ *
+ * Relative paths in the file are relative to the file. `loadJobFile` checks every event up
+ * front, like the command line does for a single run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SINKS, IF_EXISTS } = require('./sinks');
+const { checkCaptureOptions } = require('./cli');
+const { readProfileFile } = require('./profile');
+const { csvCell } = require('./report');
+
+const BATCH_BLOB_NAME = '{eventId}/{regId}.zip';
+const EVENT_KEYS = ['eventId', 'in', 'status', 'regType', 'registeredFrom', 'registeredTo', 'profile', 'redactionProfile', 'out', 'sink', 'blobName', 'ifExists'];
+// job file sink settings → the environment variables (or option) the sink reads them from
+const SINK_SETTINGS = {
+  local: { dir: null },
+  s3: { bucket: 'S3_BUCKET', prefix: 'S3_PREFIX', endpoint: 'S3_ENDPOINT', region: 'S3_REGION' },
+  azure: { container: 'AZURE_BLOB_CONTAINER' },
+};
+
+// base: parsed command line options; given: the keys set on the command line.
+// Returns [{ eventId, out, opts }] – opts are capture options, with sinkEnv for the sink.
+// Throws with every problem listed.
+function loadJobFile(fp, base, given = new Set(), env = process.env) {
+  const file = path.resolve(fp);
+  const dir = path.dirname(file);
+  const source = path.relative(process.cwd(), file) || file;
+  const job = readProfileFile(file) || {};
+  const problems = [];
+  const events = Array.isArray(job.events) ? job.events : null;
+  if (!events || !events.length) problems.push('"events" must be a non-empty list');
+
+  const rel = (p) => (p == null ? p : path.resolve(dir, String(p)));
+  const outs = new Map();
+  const resolved = (events || []).map((e, i) => {
+    e = e || {};
+    const eventId = e.eventId != null ? String(e.eventId).trim() : '';
+    const where = `events[${i}]${eventId ? ` (${eventId})` : ''}`;
+    const add = (msg) => problems.push(`${where}: ${msg}`);
+    for (const k of Object.keys(e)) if (!EVENT_KEYS.includes(k)) add(`unknown key "${k}" (${EVENT_KEYS.join(', ')})`);
+    if (!/^\d+$/.test(eventId)) add('"eventId" must be a numeric event id');
+
+    const opts = { ...base, in: null, event: null, eventId: '', status: null, regType: null, registeredFrom: null, registeredTo: null };
+    if (e.in) { opts.in = rel(e.in); opts.eventId = eventId; } else opts.event = eventId;
+    for (const k of ['status', 'regType']) {
+      if (e[k] == null) continue;
+      try { new RegExp(String(e[k]), 'i'); opts[k] = String(e[k]); } catch (err) { add(`${k}: ${err.message}`); }
+    }
+    for (const k of ['registeredFrom', 'registeredTo']) {
+      if (e[k] == null) continue;
+      if (Number.isFinite(Date.parse(e[k]))) opts[k] = String(e[k]); else add(`${k} must be a date like 2025-09-01`);
+    }
+    if (e.profile) opts.profile = rel(e.profile);
+    if (e.redactionProfile) opts.redactionProfile = rel(e.redactionProfile);
+
+    const out = e.out != null ? String(e.out) : eventId;
+    if (!out || path.isAbsolute(out) || out.split(/[\\/]/).includes('..')) add('"out" must be a folder name inside --out');
+    else if (outs.has(out)) add(`"out" ${out} is also used by ${outs.get(out)} – every event needs its own folder`);
+    outs.set(out, where);
+    opts.outDir = path.join(base.outDir, out);
+
+    opts.sinkEnv = env;
+    if (e.sink) {
+      const { type = base.sink, ...settings } = e.sink;
+      if (!SINKS.includes(type)) add(`sink.type must be one of ${SINKS.join(', ')}`);
+      else {
+        opts.sink = type;
+        opts.sinkEnv = { ...env };
+        for (const [k, v] of Object.entries(settings)) {
+          if (!(k in SINK_SETTINGS[type])) { add(`sink.${k} doesn't apply to ${type} (${Object.keys(SINK_SETTINGS[type]).join(', ')})`); continue; }
+          if (type === 'local') opts.sinkDir = rel(v);
+          else opts.sinkEnv[SINK_SETTINGS[type][k]] = String(v);
+        }
+      }
+    }
+    opts.blobName = e.blobName != null ? String(e.blobName) : given.has('blobName') ? base.blobName : BATCH_BLOB_NAME;
+    if (e.ifExists != null) {
+      if (IF_EXISTS.includes(e.ifExists)) opts.ifExists = e.ifExists; else add(`ifExists must be one of ${IF_EXISTS.join(', ')}`);
+    }
+
+    for (const p of checkCaptureOptions(opts, opts.sinkEnv)) add(p);
+    return { eventId, out, opts };
+  });
+
+  if (problems.length) throw new Error(`Invalid job file ${source}:\n  - ${problems.join('\n  - ')}`);
+  return resolved;
+}
+
+// <out>/batches/<batchId>.json + .csv: one line per event with its run id, outcomes and report
+function writeBatchSummary(outRoot, summary) {
+  const dir = path.join(outRoot, 'batches');
+  fs.mkdirSync(dir, { recursive: true });
+  const base = path.join(dir, summary.batchId);
+  fs.writeFileSync(`${base}.json`, JSON.stringify(summary, null, 2));
+  const header = ['event_id', 'folder', 'status', 'run_id', 'success', 'partial', 'failed', 'already_done', 'report', 'error'];
+  const lines = [header.join(','), ...summary.events.map((e) => [
+    e.eventId, e.out, e.status, e.runId, ...['success', 'partial', 'failed', 'skipped'].map((k) => (e.outcomes ? e.outcomes[k] : '')),
+    e.report, e.error,
+  ].map(csvCell).join(','))];
+  fs.writeFileSync(`${base}.csv`, lines.join('\n') + '\n');
+  return `${base}.json`;
+}
+
+module.exports = { loadJobFile, writeBatchSummary, BATCH_BLOB_NAME };
@@ -0,0 +1,76 @@
+/**
+ * Run ledger – append-only JSONL record of every registrant step outcome.
+ * -------------------------------------------------------------
+ * One line per event, written to <outDir>/ledger.jsonl:
+ *   { ts, regId, url, step, status, degraded?, files?, validation?, ready?, blobUrl?, error? }
+ *
+ *  - step:   evidence step id from the profile ('01'..'06' by default), 'upload' for zip + upload,
+ *            'registrant' when the registrant failed before any step ran
+ *  - status: 'ok' | 'invalid' (captured, but failed its content checks) | 'failed' | 'skipped'
+ *  - degraded: captured, but the page wasn't ready in time (ready.timedOut lists what was still pending)
+ *
+ * The file is replayed on open so later lines win; a registrant is complete
+ * once its 'upload' step is 'ok'. Used by `--resume` to skip finished work.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEDGER_FILE = 'ledger.jsonl';
+// ledger step keys that aren't evidence steps
+const RUN_STEPS = ['upload', 'registrant'];
+const isEvidenceStep = (step) => !RUN_STEPS.includes(step);
+
+function readLedgerLines(file) {
+  if (!fs.existsSync(file)) return [];
+  const lines = [];
+  for (const raw of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!raw.trim()) continue;
+    // a crash mid-write can leave a truncated last line; ignore it
+    try { lines.push(JSON.parse(raw)); } catch {}
+  }
+  return lines;
+}
+
+function openLedger(outDir) {
+  const file = path.join(outDir, LEDGER_FILE);
+  const registrants = new Map(); // regId -> { url, steps: { [step]: entry } }
+
+  const apply = (entry) => {
+    if (!entry || !entry.regId) return;
+    const reg = registrants.get(entry.regId) || { url: entry.url, steps: {} };
+    if (entry.url) reg.url = entry.url;
+    reg.steps[entry.step] = entry;
+    registrants.set(entry.regId, reg);
+  };
+  readLedgerLines(file).forEach(apply);
+
+  function record(regId, entry) {
+    const line = { ts: new Date().toISOString(), regId, ...entry };
+    fs.appendFileSync(file, JSON.stringify(line) + '\n');
+    apply(line);
+    return line;
+  }
+
+  function get(regId) {
+    return registrants.get(regId) || null;
+  }
+
+  function isComplete(regId) {
+    const reg = registrants.get(regId);
+    return !!(reg && reg.steps.upload && reg.steps.upload.status === 'ok');
+  }
+
+  // A step only counts as done if it succeeded without being degraded AND its files are still
+  // on disk (the registrant folder is deleted after upload, or may have been cleaned by hand).
+  function isStepDone(regId, step, regDir) {
+    const reg = registrants.get(regId);
+    const e = reg && reg.steps[step];
+    if (!e || e.status !== 'ok' || e.degraded) return false;
+    return (e.files || []).every((f) => fs.existsSync(path.join(regDir, f)));
+  }
+
+  return { file, record, get, isComplete, isStepDone };
+}
+
+module.exports = { openLedger, readLedgerLines, isEvidenceStep, LEDGER_FILE, RUN_STEPS };
@@ -0,0 +1,47 @@
+/**
+ * Console logging with an optional per-worker tag.
+ * -------------------------------------------------------------
+ * Code running inside withLogTag('w2', fn) gets its lines prefixed with "[w2]",
+ * so output from parallel workers (--concurrency) can be told apart.
+ * Inside collectWarnings(fn), warn() lines are also kept for the run report.
+ * Outside these scopes they behave exactly like console.log/warn/error.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const scope = new AsyncLocalStorage(); // { tag, warnings }
+
+function tagged(args) {
+  const tag = scope.getStore()?.tag;
+  if (!tag) return args;
+  const [first, ...rest] = args;
+  // keep leading blank lines (used as section breaks) in front of the tag
+  if (typeof first === 'string' && first.startsWith('\n')) {
+    const body = first.replace(/^\n+/, '');
+    return [first.slice(0, first.length - body.length) + `[${tag}]`, body, ...rest];
+  }
+  return [`[${tag}]`, ...args];
+}
+
+const plain = (args) => args.map((a) => (a instanceof Error ? a.message : typeof a === 'string' ? a : String(a)))
+  .join(' ').replace(/\s+/g, ' ').trim();
+
+const info  = (...args) => console.log(...tagged(args));
+const error = (...args) => console.error(...tagged(args));
+const warn  = (...args) => {
+  scope.getStore()?.warnings?.push(plain(args).replace(/^⚠\s*/, ''));
+  console.warn(...tagged(args));
+};
+
+function withLogTag(tag, fn) {
+  return scope.run({ ...scope.getStore(), tag }, fn);
+}
+
+// Runs fn and returns { result, warnings } – every warn() made while it ran
+async function collectWarnings(fn) {
+  const warnings = [];
+  const result = await scope.run({ ...scope.getStore(), warnings }, fn);
+  return { result, warnings };
+}
+
+module.exports = { info, warn, error, withLogTag, collectWarnings };
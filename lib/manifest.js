@@ -0,0 +1,145 @@
+/**
+ * Evidence manifest – manifest.json written into every registrant folder before zipping.
+ * -------------------------------------------------------------
+ * {
+ *   schema, registrantId, registrantUrl, createdAt,
+ *   capturedBy: { user, host }, tool: { name, version, playwright, node }, viewport,
+ *   artifacts: [ { file, step, sourceUrl, capturedAt, bytes, sha256 } ],
+ *   redaction?,      // redacted copy only: profile, rules and match counts per step
+ *   manifestSha256   // SHA-256 over the canonical JSON of everything above
+ * }
+ *
+ * `verifyZip` re-hashes every artifact inside a downloaded zip and checks the manifest hash,
+ * so auditors can show the screenshots were not altered after capture.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const { isEvidenceStep } = require('./ledger');
+
+const MANIFEST_FILE = 'manifest.json';
+const SCHEMA = 'swoogo-capture/manifest@1';
+
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+
+// JSON with sorted keys, so the hash doesn't depend on property order
+function canonicalJson(value) {
+  if (Array.isArray(value)) return '[' + value.map(canonicalJson).join(',') + ']';
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => JSON.stringify(k) + ':' + canonicalJson(value[k])).join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+function hashManifest(manifest) {
+  const { manifestSha256, ...rest } = manifest;
+  return sha256(canonicalJson(rest));
+}
+
+// os.userInfo() throws in containers where the uid has no passwd entry
+function currentUser() {
+  try { return os.userInfo().username; } catch {
+    return process.env.USER || process.env.USERNAME || `uid ${process.getuid ? process.getuid() : 'unknown'}`;
+  }
+}
+
+function toolInfo() {
+  const pkg = require('../package.json');
+  let playwright = '';
+  try { playwright = require('playwright/package.json').version; } catch {}
+  return { name: pkg.name, version: pkg.version, playwright, node: process.version };
+}
+
+// steps: ledger step entries ({ step, status, files, sourceUrl, degraded }); captured (ok/invalid) steps are listed,
+// and artifacts of a step captured before its page was ready are marked degraded.
+// extras: files written for the registrant as a whole, e.g. [{ file: '<regId>__fields.json', step: 'fields' }]
+// subdir: build the manifest of that subfolder (the redacted copy) instead of the top-level files.
+// redaction: { profile, rules, steps: [{ step, matches }] } for the redacted copy
+function buildManifest({ regId, registrantUrl, regDir, steps, viewport, extras = [], subdir = null, redaction }) {
+  const artifacts = [];
+  // ledger file names are relative to regDir, e.g. "123__01_x.png" or "redacted/123__01_x.png"
+  const inZip = (file) => (subdir ? (file.startsWith(`${subdir}/`) ? file.slice(subdir.length + 1) : null) : (file.includes('/') ? null : file));
+  for (const entry of Object.values(steps || {})) {
+    if (!['ok', 'invalid'].includes(entry.status) || !isEvidenceStep(entry.step)) continue;
+    for (const file of entry.files || []) {
+      const fp = path.join(regDir, file);
+      if (!inZip(file) || !fs.existsSync(fp)) continue;
+      const buf = fs.readFileSync(fp);
+      artifacts.push({
+        file: inZip(file),
+        step: entry.step,
+        sourceUrl: entry.sourceUrl || registrantUrl,
+        capturedAt: fs.statSync(fp).mtime.toISOString(),
+        bytes: buf.length,
+        sha256: sha256(buf),
+        degraded: entry.degraded || undefined,
+      });
+    }
+  }
+  for (const { file, step } of extras) {
+    const fp = path.join(regDir, file);
+    if (!fs.existsSync(fp)) continue;
+    const buf = fs.readFileSync(fp);
+    artifacts.push({ file, step, sourceUrl: registrantUrl, capturedAt: fs.statSync(fp).mtime.toISOString(), bytes: buf.length, sha256: sha256(buf) });
+  }
+  artifacts.sort((a, b) => a.step.localeCompare(b.step) || a.file.localeCompare(b.file));
+
+  const manifest = {
+    schema: SCHEMA,
+    registrantId: regId,
+    registrantUrl,
+    createdAt: new Date().toISOString(),
+    capturedBy: { user: currentUser(), host: os.hostname() },
+    tool: toolInfo(),
+    viewport,
+    artifacts,
+    redaction,
+  };
+  manifest.manifestSha256 = hashManifest(manifest);
+  return manifest;
+}
+
+function writeManifest(regDir, manifest) {
+  const fp = path.join(regDir, MANIFEST_FILE);
+  fs.writeFileSync(fp, JSON.stringify(manifest, null, 2));
+  return fp;
+}
+
+// Returns { ok, manifest, problems: [string], checked: n }
+function verifyZip(zipPath) {
+  const zip = new AdmZip(zipPath);
+  const entries = new Map(zip.getEntries().filter((e) => !e.isDirectory).map((e) => [e.entryName, e]));
+  const problems = [];
+
+  const manifestEntry = entries.get(MANIFEST_FILE);
+  if (!manifestEntry) return { ok: false, manifest: null, problems: [`${MANIFEST_FILE} missing`], checked: 0 };
+
+  let manifest;
+  try { manifest = JSON.parse(manifestEntry.getData().toString('utf8')); } catch (e) {
+    return { ok: false, manifest: null, problems: [`${MANIFEST_FILE} is not valid JSON: ${e.message}`], checked: 0 };
+  }
+
+  if (hashManifest(manifest) !== manifest.manifestSha256) problems.push('manifest hash mismatch (manifest.json was edited)');
+
+  const listed = new Set();
+  for (const a of manifest.artifacts || []) {
+    listed.add(a.file);
+    const e = entries.get(a.file);
+    if (!e) { problems.push(`${a.file}: missing from zip`); continue; }
+    const buf = e.getData();
+    if (buf.length !== a.bytes) problems.push(`${a.file}: size ${buf.length} != ${a.bytes}`);
+    if (sha256(buf) !== a.sha256) problems.push(`${a.file}: sha256 mismatch`);
+  }
+  for (const name of entries.keys()) {
+    if (name !== MANIFEST_FILE && !listed.has(name)) problems.push(`${name}: not listed in manifest`);
+  }
+
+  return { ok: problems.length === 0, manifest, problems, checked: listed.size };
+}
+
+module.exports = { MANIFEST_FILE, buildManifest, writeManifest, hashManifest, verifyZip, sha256, canonicalJson, toolInfo };
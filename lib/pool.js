@@ -0,0 +1,34 @@
+/**
+ * Worker pool + global rate limit for parallel capture (--concurrency / --rate).
+ */
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Spaces calls at least 1000/perSecond ms apart across every caller sharing it.
+// perSecond <= 0 disables the limit.
+function createRateLimiter(perSecond) {
+  const gap = perSecond > 0 ? 1000 / perSecond : 0;
+  let next = 0;
+  return async function throttle() {
+    const now = Date.now();
+    const at = Math.max(now, next);
+    next = at + gap;
+    if (at > now) await sleep(at - now);
+  };
+}
+
+// Runs worker(item, workerIndex) over items with `concurrency` workers pulling from one queue.
+// Once shouldStop() returns true, workers finish their current item and take no new ones.
+async function runPool(items, concurrency, worker, { shouldStop = () => false } = {}) {
+  let nextIndex = 0;
+  const loop = async (w) => {
+    while (nextIndex < items.length && !shouldStop()) {
+      const item = items[nextIndex++];
+      await worker(item, w);
+    }
+  };
+  const n = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: n }, (_, w) => loop(w)));
+}
+
+module.exports = { createRateLimiter, runPool };
@@ -0,0 +1,119 @@
+/**
+ * Evidence profiles – which steps to capture, where each page comes from and how it's captured.
+ * -------------------------------------------------------------
+ * Loaded from JSON or YAML with --profile (default: profiles/default.json):
+ *
+ *   name: my-event
+ *   steps:
+ *     - step: "01"                      # ledger/manifest key (steps run in list order)
+ *       label: Attendance Status / Proof
+ *       output: 01_Attendance_Status_Proof   # file name: <regId>__<output>.png
+ *       url:                           # where to go before capturing
+ *         type: registrant             #   the registrant view itself
+ *         tab: [Attendance, Check-?in] #   optional: open the record's tab whose label matches one of these
+ *       # type: action, needles: [invoice], menuItem: invoice      (Actions menu href, click fallback)
+ *       # type: sendEmail, templateId: "4840855"                   (Send Email page for that template;
+ *       #                              fallbackTemplateId only when no link is found on the page)
+ *       # type: url, pattern: "https://www.swoogo.com/...?eventId={eventId}&id={id}"
+ *       capture:
+ *         mode: fullPage               # fullPage | iframe (src) | element (selector, fallback: fullPage) | pdf | email
+ *                                      # | emailTemplates (src, filter) – one file per Send Email template
+ *       validate:                      # optional content checks, see lib/validate.js
+ *         registrant: true
+ *       extract: [status, name, email]  # optional labelled fields to read, see lib/extract.js
+ *       ready:                         # optional page readiness, see lib/ready.js
+ *         timeout: 30000               #   ms for this step (default --ready-timeout)
+ *         spinners: [".loading"]       #   extra loading indicators to wait out
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RUN_STEPS } = require('./ledger');
+const { FIELD_NAMES } = require('./extract');
+
+const DEFAULT_PROFILE = path.join(__dirname, '..', 'profiles', 'default.json');
+
+const URL_TYPES = ['registrant', 'action', 'sendEmail', 'url'];
+const CAPTURE_MODES = ['fullPage', 'iframe', 'element', 'pdf', 'email', 'emailTemplates'];
+
+// JSON, or YAML by extension – also reads redaction profiles and batch job files
+function readProfileFile(fp) {
+  const raw = fs.readFileSync(fp, 'utf8');
+  if (/\.ya?ml$/i.test(fp)) return require('yaml').parse(raw);
+  return JSON.parse(raw);
+}
+
+// Throws with every problem listed, so a broken profile fails before the browser opens
+function validateProfile(profile, source) {
+  const problems = [];
+  const steps = profile && Array.isArray(profile.steps) ? profile.steps : null;
+  if (!steps || steps.length === 0) problems.push('"steps" must be a non-empty array');
+
+  const seen = new Set();
+  (steps || []).forEach((s, i) => {
+    const where = `steps[${i}]`;
+    const id = s && s.step != null ? String(s.step) : '';
+    if (!id) problems.push(`${where}: "step" is required`);
+    else if (RUN_STEPS.includes(id)) problems.push(`${where}: step "${id}" is reserved`);
+    else if (seen.has(id)) problems.push(`${where}: duplicate step "${id}"`);
+    seen.add(id);
+    if (!s.output) problems.push(`${where}: "output" is required`);
+    else if (/[<>:"/\\|?*\x00-\x1F]/.test(s.output)) problems.push(`${where}: "output" must be a plain file name`);
+
+    const u = s.url || {};
+    if (!URL_TYPES.includes(u.type)) problems.push(`${where}: url.type must be one of ${URL_TYPES.join(', ')}`);
+    if (u.type === 'action' && !(Array.isArray(u.needles) && u.needles.length)) problems.push(`${where}: url.needles is required for type "action"`);
+    if (u.type === 'url' && !u.pattern) problems.push(`${where}: url.pattern is required for type "url"`);
+    if (u.tab != null) {
+      const tabs = [].concat(u.tab);
+      if (u.type !== 'registrant') problems.push(`${where}: url.tab only applies to type "registrant"`);
+      else if (!tabs.length || tabs.some((t) => typeof t !== 'string' || !t)) problems.push(`${where}: url.tab must be a tab label or a list of them`);
+      else for (const t of tabs) { try { new RegExp(t, 'i'); } catch (e) { problems.push(`${where}: url.tab: ${e.message}`); } }
+    }
+
+    const c = s.capture || {};
+    if (!CAPTURE_MODES.includes(c.mode)) problems.push(`${where}: capture.mode must be one of ${CAPTURE_MODES.join(', ')}`);
+    if (c.mode === 'iframe' && !c.src) problems.push(`${where}: capture.src is required for mode "iframe"`);
+    if (c.mode === 'emailTemplates' && u.type !== 'sendEmail') problems.push(`${where}: capture.mode "emailTemplates" needs url.type "sendEmail"`);
+    if (c.filter) { try { new RegExp(c.filter, 'i'); } catch (e) { problems.push(`${where}: capture.filter: ${e.message}`); } }
+    if (c.mode === 'element' && !c.selector) problems.push(`${where}: capture.selector is required for mode "element"`);
+    if (c.fallback != null && !(c.mode === 'element' && c.fallback === 'fullPage')) problems.push(`${where}: capture.fallback can only be "fullPage", for mode "element"`);
+
+    const v = s.validate || {};
+    for (const pattern of v.patterns || []) {
+      try { new RegExp(pattern, 'i'); } catch (e) { problems.push(`${where}: validate.patterns: ${e.message}`); }
+    }
+
+    if (s.extract != null && s.extract !== true) {
+      if (!Array.isArray(s.extract)) problems.push(`${where}: extract must be true or a list of fields`);
+      else for (const f of s.extract) if (!FIELD_NAMES.includes(f)) problems.push(`${where}: extract: unknown field "${f}" (${FIELD_NAMES.join(', ')})`);
+    }
+
+    const r = s.ready || {};
+    if (r.timeout != null && !(Number.isFinite(r.timeout) && r.timeout > 0)) problems.push(`${where}: ready.timeout must be a positive number of ms`);
+    if (r.spinners != null && !(Array.isArray(r.spinners) && r.spinners.every((x) => typeof x === 'string' && x.trim()))) {
+      problems.push(`${where}: ready.spinners must be a list of CSS selectors`);
+    }
+  });
+
+  if (problems.length) {
+    throw new Error(`Invalid evidence profile ${source}:\n  - ${problems.join('\n  - ')}`);
+  }
+  return profile;
+}
+
+function loadProfile(fp) {
+  const file = path.resolve(fp || DEFAULT_PROFILE);
+  const profile = readProfileFile(file);
+  validateProfile(profile, path.relative(process.cwd(), file) || file);
+  profile.steps = profile.steps.map((s) => ({ ...s, step: String(s.step), label: s.label || s.output }));
+  profile.name = profile.name || path.basename(file).replace(/\.(json|ya?ml)$/i, '');
+  return profile;
+}
+
+// "{eventId}" / "{id}" placeholders in url.pattern
+function expandUrlPattern(pattern, vars) {
+  return pattern.replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? encodeURIComponent(vars[k]) : m));
+}
+
+module.exports = { DEFAULT_PROFILE, URL_TYPES, CAPTURE_MODES, loadProfile, validateProfile, expandUrlPattern, readProfileFile };
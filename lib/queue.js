@@ -0,0 +1,89 @@
+/**
+ * Job queue for `serve` – capture jobs submitted over the HTTP API, persisted as JSONL.
+ * -------------------------------------------------------------
+ * One line per change, appended to <outDir>/queue.jsonl:
+ *   { ts, id, status, registrantUrl?, regId?, profile?, outcome?, blobUrl?, error?, ... }
+ *
+ *  - status: 'queued' → 'running' → 'done' (captured and uploaded; outcome success or partial)
+ *            or 'failed'
+ *
+ * The file is replayed on open so later lines win (like the ledger). Jobs still `running`
+ * when the service stopped go back to `queued`, so a restart picks them up again.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { readLedgerLines } = require('./ledger');
+
+const QUEUE_FILE = 'queue.jsonl';
+const JOB_STATUSES = ['queued', 'running', 'done', 'failed'];
+
+function openQueue(outDir) {
+  const file = path.join(outDir, QUEUE_FILE);
+  const jobs = new Map(); // id → job, in submission order
+  let wake = null; // resolves a worker waiting in nextJob()
+
+  const apply = (line) => {
+    if (!line || !line.id) return;
+    const { ts, ...changes } = line;
+    const job = jobs.get(line.id) || { id: line.id, submittedAt: ts };
+    Object.assign(job, changes, { updatedAt: ts });
+    jobs.set(line.id, job);
+  };
+  readLedgerLines(file).forEach(apply);
+
+  function write(id, changes) {
+    const line = { ts: new Date().toISOString(), id, ...changes };
+    fs.appendFileSync(file, JSON.stringify(line) + '\n');
+    apply(line);
+    return jobs.get(id);
+  }
+
+  // interrupted last time – capture them again
+  for (const job of jobs.values()) {
+    if (job.status === 'running') write(job.id, { status: 'queued', requeued: (job.requeued || 0) + 1 });
+  }
+
+  function add(fields) {
+    const id = `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+    const job = write(id, { ...fields, status: 'queued' });
+    if (wake) { wake(); wake = null; }
+    return job;
+  }
+
+  function update(id, changes) {
+    return jobs.has(id) ? write(id, changes) : null;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  // newest first; status filters, limit caps the count
+  function list({ status, limit = 100 } = {}) {
+    const all = [...jobs.values()].filter((j) => !status || j.status === status);
+    return all.reverse().slice(0, limit);
+  }
+
+  function counts() {
+    const c = Object.fromEntries(JOB_STATUSES.map((s) => [s, 0]));
+    for (const j of jobs.values()) c[j.status] = (c[j.status] || 0) + 1;
+    return c;
+  }
+
+  // The oldest queued job, waiting up to `wait` ms for one to be submitted. null if none came.
+  async function nextJob(wait = 1000) {
+    const first = () => [...jobs.values()].find((j) => j.status === 'queued') || null;
+    if (first() || wait <= 0) return first();
+    await new Promise((resolve) => {
+      const t = setTimeout(() => { wake = null; resolve(); }, wait);
+      wake = () => { clearTimeout(t); resolve(); };
+    });
+    return first();
+  }
+
+  return { file, add, update, get, list, counts, nextJob };
+}
+
+module.exports = { openQueue, QUEUE_FILE, JOB_STATUSES };
@@ -0,0 +1,119 @@
+/**
+ * Page readiness – one routine that decides a page is done rendering, instead of fixed sleeps.
+ * -------------------------------------------------------------
+ * `waitForReady(page, { timeout })` waits, in order, for:
+ *   load     the page's load event
+ *   spinner  every spinner / loading overlay hidden or gone (#spinner-overlay, plus the step's own)
+ *   network  no fetch/XHR in flight (in any frame) for a short quiet period
+ *   fonts    document.fonts loaded
+ *   images   every <img> in the page and in the email iframe loaded and decoded (lazy ones forced eager)
+ *   layout   page size and element count unchanged for a short quiet period
+ *
+ * All conditions share the one timeout (--ready-timeout, or `ready.timeout` on a profile step).
+ * A condition that's still unmet when it runs out is skipped, and named in `timedOut` – the
+ * capture goes ahead, and the step is recorded as degraded.
+ */
+
+const DEFAULT_TIMEOUT = 15000;
+const SPINNERS = ['#spinner-overlay'];
+const EMAIL_FRAME = '/frontend/preview/email';
+const QUIET_MS = 500; // network / layout must stay unchanged this long
+const POLL_MS = 100;
+const REQUEST_TYPES = ['fetch', 'xhr'];
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// In-flight fetch/XHR per page, from Playwright's request events (so iframes count too).
+// Installed on first use; requests already running before that aren't seen.
+const trackers = new WeakMap();
+function requestTracker(page) {
+  if (trackers.has(page)) return trackers.get(page);
+  const pending = new Set();
+  const t = { pending, lastChange: Date.now() };
+  const done = (req) => { if (pending.delete(req)) t.lastChange = Date.now(); };
+  page.on('request', (req) => { if (REQUEST_TYPES.includes(req.resourceType())) { pending.add(req); t.lastChange = Date.now(); } });
+  page.on('requestfinished', done);
+  page.on('requestfailed', done);
+  page.on('framenavigated', (f) => { if (f === page.mainFrame()) { pending.clear(); t.lastChange = Date.now(); } });
+  trackers.set(page, t);
+  return t;
+}
+
+// Runs in a frame: true when none of the selectors is visible
+function spinnersGone(selectors) {
+  return selectors.every((sel) => {
+    let els = [];
+    try { els = [...document.querySelectorAll(sel)]; } catch { return true; }
+    return els.every((el) => {
+      const style = window.getComputedStyle(el);
+      return style.display === 'none' || style.visibility === 'hidden' || el.getClientRects().length === 0;
+    });
+  });
+}
+
+// Runs in a frame: true once every image has loaded (or failed) and the loaded ones are decoded
+async function imagesDone() {
+  const imgs = [...document.images];
+  for (const img of imgs) if (img.loading === 'lazy') img.loading = 'eager';
+  if (!imgs.every((img) => img.complete)) return false;
+  await Promise.all(imgs.filter((img) => img.naturalWidth > 0).map((img) => img.decode().catch(() => {})));
+  return true;
+}
+
+const layoutSample = () => {
+  const el = document.documentElement;
+  return `${el.scrollWidth}x${el.scrollHeight}:${document.getElementsByTagName('*').length}`;
+};
+
+// Frames whose images count: the main frame and the email preview iframe(s)
+const imageFrames = (page, frameSrc) => [page.mainFrame(), ...page.frames().filter((f) => f !== page.mainFrame() && f.url().includes(frameSrc))];
+
+// Returns { ok, timedOut: [condition], ms }. Never throws – a navigation mid-check just means "not yet".
+async function waitForReady(page, { timeout = DEFAULT_TIMEOUT, spinners = [], frameSrc = EMAIL_FRAME } = {}) {
+  const t0 = Date.now();
+  const deadline = t0 + timeout;
+  const tracker = requestTracker(page);
+  const timedOut = [];
+  const selectors = [...SPINNERS, ...spinners];
+
+  // polls check() until it's true; records the condition when time runs out
+  async function until(name, check) {
+    for (;;) {
+      if (await check().catch(() => false)) return;
+      if (Date.now() >= deadline) { timedOut.push(name); return; }
+      await sleep(POLL_MS);
+    }
+  }
+
+  await until('load', async () => {
+    await page.waitForLoadState('load', { timeout: Math.max(1, deadline - Date.now()) });
+    return true;
+  });
+  await until('spinner', () => page.evaluate(spinnersGone, selectors));
+  await until('network', async () => tracker.pending.size === 0 && Date.now() - tracker.lastChange >= QUIET_MS);
+  await until('fonts', () => page.evaluate(() => !document.fonts || document.fonts.status === 'loaded'));
+  await until('images', async () => {
+    for (const f of imageFrames(page, frameSrc)) if (!(await f.evaluate(imagesDone))) return false;
+    return true;
+  });
+  let last = null;
+  let since = 0;
+  await until('layout', async () => {
+    const sample = await page.evaluate(layoutSample);
+    if (sample !== last) { last = sample; since = Date.now(); return false; }
+    return Date.now() - since >= QUIET_MS;
+  });
+
+  return { ok: timedOut.length === 0, timedOut, ms: Date.now() - t0 };
+}
+
+// Several waits of one step → { ms, timedOut } (timedOut de-duplicated), or undefined for none
+function summarizeReady(results) {
+  if (!results.length) return undefined;
+  return {
+    ms: results.reduce((n, r) => n + r.ms, 0),
+    timedOut: [...new Set(results.flatMap((r) => r.timedOut))],
+  };
+}
+
+module.exports = { waitForReady, summarizeReady, requestTracker, DEFAULT_TIMEOUT, SPINNERS };
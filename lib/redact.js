@@ -0,0 +1,157 @@
+/**
+ * Redaction – masks sensitive values in the page before the external copy is captured.
+ * -------------------------------------------------------------
+ * Loaded from JSON or YAML with --redaction-profile (e.g. profiles/redaction-external.json):
+ *
+ *   name: external
+ *   selectors: [".registrant-phone", "[data-field=address]"]  # whole element masked
+ *   labels: ["Phone", "Mobile", "Billing Address"]            # the value shown next to this label
+ *   patterns: ["\\b(?:\\d[ -]?){12,15}\\d\\b"]                # matching text anywhere (case-insensitive)
+ *
+ * Text is replaced with █ of the same length (so layout doesn't shift) in every frame,
+ * including the email preview iframe; form values are masked too. `applyRedactions`
+ * returns how often each rule matched, which ends up in the redacted copy's manifest.
+ * The DOM is changed for good – the caller reloads the page before using it again.
+ */
+
+const path = require('path');
+const { readProfileFile } = require('./profile');
+
+// Throws with every problem listed, like lib/profile.js
+function loadRedactionProfile(fp) {
+  const file = path.resolve(fp);
+  const source = path.relative(process.cwd(), file) || file;
+  const p = readProfileFile(file) || {};
+  const problems = [];
+  for (const key of ['selectors', 'labels', 'patterns']) {
+    if (p[key] != null && !(Array.isArray(p[key]) && p[key].every((v) => typeof v === 'string' && v.trim()))) {
+      problems.push(`"${key}" must be a list of non-empty strings`);
+    }
+  }
+  for (const pattern of Array.isArray(p.patterns) ? p.patterns : []) {
+    try { new RegExp(pattern, 'gi'); } catch (e) { problems.push(`patterns: ${e.message}`); }
+  }
+  const rules = { selectors: p.selectors || [], labels: p.labels || [], patterns: p.patterns || [] };
+  if (!problems.length && !rules.selectors.length && !rules.labels.length && !rules.patterns.length) {
+    problems.push('needs at least one of "selectors", "labels" or "patterns"');
+  }
+  if (problems.length) throw new Error(`Invalid redaction profile ${source}:\n  - ${problems.join('\n  - ')}`);
+  return { name: p.name || path.basename(file).replace(/\.(json|ya?ml)$/i, ''), ...rules };
+}
+
+// Runs in each frame; returns [{ type, rule, count }]
+function redactDom({ selectors, labels, patterns }) {
+  const MASK = '█';
+  const mask = (s) => s.replace(/\S/g, MASK);
+  const counts = [];
+  const done = new WeakSet();
+  // the value attribute / textarea text is what page.content() and the MHTML snapshot save,
+  // so the live value alone isn't enough
+  const setValue = (el, v) => {
+    el.value = v;
+    if (el.matches('textarea')) el.textContent = v;
+    else if (el.hasAttribute('value')) el.setAttribute('value', v);
+  };
+
+  function maskElement(el) {
+    if (done.has(el)) return false;
+    done.add(el);
+    if (el.matches('input, textarea')) { setValue(el, mask(el.value)); return true; }
+    if (el.matches('select')) {
+      for (const o of el.options) { o.text = mask(o.text); if (o.hasAttribute('value')) o.setAttribute('value', mask(o.value)); }
+      return true;
+    }
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    for (let n = walker.nextNode(); n; n = walker.nextNode()) n.nodeValue = mask(n.nodeValue);
+    el.querySelectorAll('img, svg, canvas').forEach((m) => { m.style.visibility = 'hidden'; });
+    el.style.setProperty('background', '#000', 'important');
+    el.style.setProperty('color', '#000', 'important');
+    return true;
+  }
+
+  for (const sel of selectors) {
+    let count = 0;
+    try { document.querySelectorAll(sel).forEach((el) => { if (maskElement(el)) count++; }); } catch {}
+    counts.push({ type: 'selector', rule: sel, count });
+  }
+
+  const norm = (s) => String(s || '').replace(/\s+/g, ' ').replace(/[\s:*]+$/, '').trim().toLowerCase();
+  const candidates = [...document.querySelectorAll('dt, th, td, label, span, strong, b, div, p')]
+    .filter((el) => el.children.length === 0 || el.matches('dt, th, label'));
+  for (const label of labels) {
+    const want = norm(label);
+    let count = 0;
+    for (const el of candidates) {
+      const text = norm(el.innerText);
+      if (text === want) {
+        const target = el.matches('label') && el.htmlFor ? document.getElementById(el.htmlFor) : el.nextElementSibling;
+        if (target && maskElement(target)) count++;
+      } else if (text.startsWith(want + ':') || text.startsWith(want + ' :')) {
+        // "Phone: 555 1234" in one element – keep the label, mask the rest
+        for (const n of el.childNodes) {
+          if (n.nodeType !== Node.TEXT_NODE) continue;
+          const i = n.nodeValue.indexOf(':');
+          if (i >= 0) { n.nodeValue = n.nodeValue.slice(0, i + 1) + mask(n.nodeValue.slice(i + 1)); count++; break; }
+        }
+      }
+    }
+    counts.push({ type: 'label', rule: label, count });
+  }
+
+  for (const pattern of patterns) {
+    const re = new RegExp(pattern, 'gi');
+    let count = 0;
+    const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT);
+    for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+      const next = n.nodeValue.replace(re, (m) => { count++; return mask(m); });
+      if (next !== n.nodeValue) n.nodeValue = next;
+    }
+    document.querySelectorAll('input, textarea').forEach((el) => {
+      const next = el.value.replace(re, (m) => { count++; return mask(m); });
+      if (next !== el.value) setValue(el, next);
+    });
+    // links and tooltips keep their text in attributes (mailto:, tel:, title)
+    document.querySelectorAll('[href], [title], [alt]').forEach((el) => {
+      for (const attr of ['href', 'title', 'alt']) {
+        const v = el.getAttribute(attr);
+        if (!v) continue;
+        const next = v.replace(re, (m) => { count++; return mask(m); });
+        if (next !== v) el.setAttribute(attr, next);
+      }
+    });
+    counts.push({ type: 'pattern', rule: pattern, count });
+  }
+  return counts;
+}
+
+// Masks every frame of the page; returns [{ type, rule, count }] summed over the frames.
+// A frame that can't be masked (still navigating, detached, ...) fails the whole copy: the
+// redacted capture would show it unmasked.
+async function applyRedactions(page, profile) {
+  const rules = { selectors: profile.selectors, labels: profile.labels, patterns: profile.patterns };
+  const total = new Map();
+  for (const frame of page.frames()) {
+    let counts;
+    try {
+      counts = await frame.evaluate(redactDom, rules);
+    } catch (e) {
+      throw new Error(`could not redact frame ${frame.url() || '(no URL)'} – ${e?.message?.split('\n')[0] || e}`);
+    }
+    for (const c of counts) {
+      const key = `${c.type}\u0000${c.rule}`;
+      total.set(key, { ...c, count: ((total.get(key) || {}).count || 0) + c.count });
+    }
+  }
+  return [...total.values()];
+}
+
+// Adds b's counts into a (both [{ type, rule, count }]); returns a
+function addCounts(a, b) {
+  for (const c of b) {
+    const hit = a.find((x) => x.type === c.type && x.rule === c.rule);
+    if (hit) hit.count += c.count; else a.push({ ...c });
+  }
+  return a;
+}
+
+module.exports = { loadRedactionProfile, applyRedactions, addCounts, redactDom };
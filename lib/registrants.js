@@ -0,0 +1,169 @@
+/**
+ * Registrant list straight from an event (--event <id>) instead of a hand-exported CSV.
+ * -------------------------------------------------------------
+ *  - Swoogo REST API, when SWOOGO_API_KEY + SWOOGO_API_SECRET are set (client-credentials token)
+ *  - otherwise the admin registrant listing, walked page by page in the logged-in browser
+ *
+ * Both return [{ id, eventId, url, name, email, status, type, registeredAt }], which
+ * `filterRegistrants` narrows by status / registration type (regex) and registration date.
+ * The resolved list is written as registrants.csv (usable as --in) for traceability.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./log');
+const { isLoginPage, SessionExpiredError } = require('./session');
+const { csvCell } = require('./report');
+
+const API_BASE = 'https://api.swoogo.com/api/v1';
+const LISTING_URL = 'https://www.swoogo.com/loggedin/registrant/index';
+const MAX_PAGES = 1000; // safety net against a pager that never ends
+
+const registrantUrl = (eventId, id) =>
+  `https://www.swoogo.com/loggedin/registrant/view?eventId=${encodeURIComponent(eventId)}&id=${encodeURIComponent(id)}`;
+
+// Registrant folder name is the numeric `id` query param of the view URL
+function registrantIdFromUrl(url) {
+  const idMatch = /[?&]id=(\d+)/.exec(url);
+  return idMatch ? idMatch[1] : 'unknown';
+}
+
+function eventIdFromUrl(url) {
+  const eventMatch = /[?&]eventId=(\d+)/.exec(url);
+  return eventMatch ? eventMatch[1] : '';
+}
+
+const hasApiCredentials = (env = process.env) => !!(env.SWOOGO_API_KEY && env.SWOOGO_API_SECRET);
+
+// ---------- REST API ----------
+
+async function apiToken(env) {
+  const basic = Buffer.from(`${encodeURIComponent(env.SWOOGO_API_KEY)}:${encodeURIComponent(env.SWOOGO_API_SECRET)}`).toString('base64');
+  const res = await fetch(`${API_BASE}/oauth2/token.json`, {
+    method: 'POST',
+    headers: { Authorization: `Basic ${basic}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: 'grant_type=client_credentials',
+  });
+  if (!res.ok) throw new Error(`Swoogo API token request failed: HTTP ${res.status}`);
+  return (await res.json()).access_token;
+}
+
+async function apiGetAll(token, resource, params) {
+  const items = [];
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const qs = new URLSearchParams({ ...params, page: String(page), 'per-page': '200' });
+    const res = await fetch(`${API_BASE}/${resource}.json?${qs}`, { headers: { Authorization: `Bearer ${token}` } });
+    if (!res.ok) throw new Error(`Swoogo API ${resource} page ${page}: HTTP ${res.status}`);
+    const body = await res.json();
+    items.push(...(body.items || []));
+    const meta = body._meta || {};
+    if (!meta.pageCount || page >= meta.pageCount) break;
+  }
+  return items;
+}
+
+async function listRegistrantsFromApi(eventId, env = process.env) {
+  const token = await apiToken(env);
+  const types = await apiGetAll(token, 'reg-types', { event_id: eventId, fields: 'id,name' }).catch(() => []);
+  const typeName = new Map(types.map((t) => [String(t.id), t.name]));
+  const items = await apiGetAll(token, 'registrants', {
+    event_id: eventId,
+    fields: 'id,first_name,last_name,email,company,registration_status,reg_type_id,created_at',
+  });
+  return items.map((r) => ({
+    id: String(r.id),
+    eventId: String(eventId),
+    url: registrantUrl(eventId, r.id),
+    name: [r.first_name, r.last_name].filter(Boolean).join(' '),
+    email: r.email || '',
+    status: r.registration_status || '',
+    type: typeName.get(String(r.reg_type_id)) || (r.reg_type_id != null ? String(r.reg_type_id) : ''),
+    registeredAt: r.created_at || '',
+  }));
+}
+
+// ---------- Admin listing pages ----------
+
+// Runs in the page: one record per row that links to a registrant view, columns found by header text
+function readListingPage() {
+  const clean = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+  const rows = [];
+  for (const table of document.querySelectorAll('table')) {
+    const heads = [...table.querySelectorAll('thead th')].map((th) => clean(th.innerText).toLowerCase());
+    const col = (re) => heads.findIndex((h) => re.test(h));
+    const cols = {
+      name: col(/name/), email: col(/e-?mail/), status: col(/status/),
+      type: col(/type/), registeredAt: col(/created|registered|date/),
+    };
+    for (const tr of table.querySelectorAll('tbody tr')) {
+      const a = tr.querySelector('a[href*="/registrant/view"]');
+      if (!a) continue;
+      const cells = [...tr.children].map((td) => clean(td.innerText));
+      const rec = { href: a.href };
+      for (const [k, i] of Object.entries(cols)) rec[k] = i >= 0 ? cells[i] || '' : '';
+      rows.push(rec);
+    }
+  }
+  const next = document.querySelector('a[rel="next"], .pagination li.next:not(.disabled) a');
+  return { rows, next: next ? next.href : null };
+}
+
+// goto(url) → response; the caller passes its throttled navigation
+async function listRegistrantsFromListing(page, eventId, { goto = (u) => page.goto(u, { waitUntil: 'domcontentloaded' }) } = {}) {
+  const out = new Map();
+  const seen = new Set();
+  let url = `${LISTING_URL}?eventId=${encodeURIComponent(eventId)}&per-page=100`;
+  for (let n = 1; url && n <= MAX_PAGES && !seen.has(url); n++) {
+    seen.add(url);
+    const response = await goto(url);
+    if (await isLoginPage(page, response)) {
+      throw new SessionExpiredError('Swoogo session expired while reading the registrant list – run "node capture.js login" again');
+    }
+    await page.waitForSelector('table tbody tr', { timeout: 15000 }).catch(() => {});
+    const { rows, next } = await page.evaluate(readListingPage);
+    for (const r of rows) {
+      const id = new URL(r.href).searchParams.get('id');
+      if (!id || out.has(id)) continue;
+      out.set(id, { id, eventId: String(eventId), url: registrantUrl(eventId, id), name: r.name, email: r.email, status: r.status, type: r.type, registeredAt: r.registeredAt });
+    }
+    log.info(`  listing page ${n}: ${rows.length} row(s), ${out.size} registrant(s) so far`);
+    url = next;
+  }
+  return [...out.values()];
+}
+
+// ---------- Filters + output ----------
+
+// filters: { status?: regex, type?: regex, from?: date, to?: date } – `to` is inclusive of that whole day
+function filterRegistrants(list, { status, type, from, to } = {}) {
+  const statusRe = status ? new RegExp(status, 'i') : null;
+  const typeRe = type ? new RegExp(type, 'i') : null;
+  const fromMs = from ? Date.parse(from) : null;
+  const toMs = to ? Date.parse(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 86400000 - 1 : 0) : null;
+  return list.filter((r) => {
+    if (statusRe && !statusRe.test(r.status)) return false;
+    if (typeRe && !typeRe.test(r.type)) return false;
+    if (fromMs != null || toMs != null) {
+      const t = Date.parse(r.registeredAt);
+      if (!Number.isFinite(t)) return false;
+      if (fromMs != null && t < fromMs) return false;
+      if (toMs != null && t > toMs) return false;
+    }
+    return true;
+  });
+}
+
+// registrants.csv – same registrant_url column as a hand-made --in file
+function writeRegistrantList(fp, list) {
+  fs.mkdirSync(path.dirname(fp), { recursive: true });
+  const header = ['id', 'eventId', 'registrant_url', 'name', 'email', 'status', 'type', 'registered_at'];
+  const lines = [header.join(','), ...list.map((r) =>
+    [r.id, r.eventId, r.url, r.name, r.email, r.status, r.type, r.registeredAt].map(csvCell).join(','))];
+  fs.writeFileSync(fp, lines.join('\n') + '\n');
+  return fp;
+}
+
+module.exports = {
+  hasApiCredentials, listRegistrantsFromApi, listRegistrantsFromListing, filterRegistrants,
+  writeRegistrantList, registrantUrl, registrantIdFromUrl, eventIdFromUrl, LISTING_URL,
+};
@@ -0,0 +1,253 @@
+/**
+ * Run report – report.json, report.csv and a browsable index.html (with thumbnails).
+ * -------------------------------------------------------------
+ * Written to <out>/reports/<runId>/ at the end of a run and uploaded to the storage sink
+ * under reports/<runId>/, next to the registrant zips. One entry per input row:
+ *   row, registrant id + URL, outcome, blob URL, timings, warnings, and per profile step
+ *   its status, files, whether a fallback capture was used or the page wasn't ready in time
+ *   (degraded), failed content checks and error.
+ * fields.csv holds the extracted registrant fields (lib/extract.js), one line per input row.
+ * Runs that encrypt their zips get no thumbnails, diff images, field values or content check
+ * details in the report.
+ * With --compare-with, steps also carry the visual diff against the prior zip (lib/compare.js),
+ * and diffs/ holds the diff images.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { mergeFields, profileFieldNames } = require('./extract');
+
+const THUMB_WIDTH = 240;
+
+// "20250907-142501" – sortable, safe in blob names
+function makeRunId(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+// A capture helper wrote its full-page fallback instead of the element/email it was after
+const isFallbackFile = (f) => /_full\.png$/i.test(f);
+
+// Downscale every PNG in regDir into thumbDir as <file>.jpg, using a blank page of the
+// existing browser context (no image library needed). Returns { [file]: 'thumbs/<...>.jpg' }.
+// subdir (the event id in runs over several events) keeps registrants with the same id apart.
+async function makeThumbnails(context, regDir, thumbDir, subdir = '') {
+  const pngs = fs.readdirSync(regDir).filter((f) => /\.png$/i.test(f));
+  if (!pngs.length) return {};
+  fs.mkdirSync(path.join(thumbDir, subdir), { recursive: true });
+  const page = await context.newPage();
+  const thumbs = {};
+  try {
+    for (const f of pngs) {
+      const b64 = fs.readFileSync(path.join(regDir, f)).toString('base64');
+      const dataUrl = await page.evaluate(async ({ b64, width }) => {
+        const img = new Image();
+        img.src = 'data:image/png;base64,' + b64;
+        await img.decode();
+        const scale = Math.min(1, width / img.naturalWidth);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(img.naturalWidth * scale);
+        // full-page shots can be very tall; keep the top of the page only
+        canvas.height = Math.min(Math.round(img.naturalHeight * scale), width * 2);
+        canvas.getContext('2d').drawImage(img, 0, 0, img.naturalWidth * scale, img.naturalHeight * scale);
+        return canvas.toDataURL('image/jpeg', 0.7);
+      }, { b64, width: THUMB_WIDTH });
+      const name = f.replace(/\.png$/i, '.jpg'); // already prefixed with the registrant id
+      fs.writeFileSync(path.join(thumbDir, subdir, name), Buffer.from(dataUrl.split(',')[1], 'base64'));
+      thumbs[f] = path.posix.join('thumbs', subdir, name);
+    }
+  } finally {
+    await page.close().catch(() => {});
+  }
+  return thumbs;
+}
+
+// entries: [{ row, url, regId, key?, reason? }] for every input row, in input order (key: the
+// ledger key when it isn't the registrant id)
+// results: Map(row → { outcome, startedAt, finishedAt, warnings, error, thumbs, compare })
+// fields: false leaves the extracted field values and the content checks' details out
+// (encrypted runs – the report is plain text)
+function buildReport({ runId, startedAt, finishedAt, profile, sink, entries, results, ledger, fields = true }) {
+  const registrants = entries.map((e) => {
+    const r = results.get(e.row) || {};
+    const reg = e.regId ? ledger.get(e.key || e.regId) : null;
+    const ledgerSteps = (reg && reg.steps) || {};
+    const compared = (r.compare && r.compare.steps) || {};
+    const steps = profile.steps.map((s) => {
+      const l = ledgerSteps[s.step];
+      if (!l) return { step: s.step, label: s.label, status: 'not run', files: [] };
+      return {
+        step: s.step,
+        label: s.label,
+        status: l.status,
+        files: l.files || [],
+        fallback: (l.files || []).some(isFallbackFile),
+        degraded: !!l.degraded,
+        notReady: (l.ready && l.ready.timedOut) || [],
+        // a failed registrant check's detail quotes the registrant's name
+        failedChecks: ((l.validation && l.validation.checks) || []).filter((c) => !c.ok).map((c) => (fields ? `${c.check}: ${c.detail}` : c.check)),
+        error: l.error,
+        ms: l.ms,
+        capturedAt: l.ts,
+        sourceUrl: l.sourceUrl,
+        compare: compared[s.step],
+      };
+    });
+    const upload = ledgerSteps.upload;
+    return {
+      row: e.row,
+      registrantId: e.regId || null,
+      url: e.url || null,
+      outcome: r.outcome || (e.url ? 'not processed' : 'unusable row'),
+      blobUrl: upload && upload.status === 'ok' ? upload.blobUrl : null,
+      blobName: upload && upload.status === 'ok' ? upload.blobName || null : null,
+      redactedBlobUrl: upload && upload.status === 'ok' ? upload.redactedBlobUrl || null : null,
+      startedAt: r.startedAt || null,
+      finishedAt: r.finishedAt || null,
+      durationMs: r.startedAt && r.finishedAt ? Date.parse(r.finishedAt) - Date.parse(r.startedAt) : null,
+      warnings: [...(e.reason ? [e.reason] : []), ...(r.warnings || [])],
+      error: r.error || (upload && upload.status === 'failed' ? upload.error : null) || null,
+      steps,
+      thumbs: r.thumbs || {},
+      comparedWith: (r.compare && r.compare.blobName) || null,
+      fields: fields ? mergeFields(profile.steps, ledgerSteps).fields : undefined,
+    };
+  });
+
+  const totals = {};
+  for (const r of registrants) totals[r.outcome] = (totals[r.outcome] || 0) + 1;
+
+  return {
+    runId,
+    startedAt,
+    finishedAt,
+    profile: profile.name,
+    sink: sink ? `${sink.name} → ${sink.describe()}` : null,
+    fieldNames: fields ? profileFieldNames(profile) : [],
+    totals,
+    registrants,
+  };
+}
+
+const csvCell = (v) => {
+  const s = v == null ? '' : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+function toCsv(report) {
+  const stepIds = report.registrants[0] ? report.registrants[0].steps.map((s) => s.step) : [];
+  const header = ['row', 'registrant_id', 'url', 'outcome', 'blob_url', 'started_at', 'duration_s',
+    ...stepIds.map((id) => `step_${id}`), 'files', 'warnings', 'error'];
+  const lines = [header.join(',')];
+  for (const r of report.registrants) {
+    lines.push([
+      r.row, r.registrantId, r.url, r.outcome, r.blobUrl, r.startedAt,
+      r.durationMs != null ? (r.durationMs / 1000).toFixed(1) : '',
+      ...r.steps.map((s) => s.status + (s.fallback ? ' (fallback)' : '') + (s.degraded ? ' (degraded)' : '') + (s.failedChecks && s.failedChecks.length ? ' (checks failed)' : '')
+        + (s.compare ? ` (${s.compare.status})` : '')),
+      r.steps.flatMap((s) => s.files).join('; '),
+      r.warnings.join(' | '),
+      r.error,
+    ].map(csvCell).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function toFieldsCsv(report) {
+  const header = ['row', 'registrant_id', 'url', 'outcome', ...report.fieldNames];
+  const lines = [header.join(',')];
+  for (const r of report.registrants) {
+    lines.push([r.row, r.registrantId, r.url, r.outcome, ...report.fieldNames.map((f) => r.fields[f])].map(csvCell).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+const esc = (s) => String(s == null ? '' : s)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function toHtml(report) {
+  const badge = (status) => `<span class="st st-${esc(status.replace(/\s+/g, '-'))}">${esc(status)}</span>`;
+  const rows = report.registrants.map((r) => {
+    const steps = r.steps.map((s) => {
+      const imgs = s.files.filter((f) => r.thumbs[f]).map((f) =>
+        `<a href="${esc(r.thumbs[f])}" title="${esc(f)}"><img src="${esc(r.thumbs[f])}" alt="${esc(f)}" loading="lazy"></a>`).join('');
+      const diffs = ((s.compare && s.compare.files) || []).filter((c) => c.diff).map((c) =>
+        `<div class="note"><a href="${esc(c.diff)}">diff ${esc(c.file)}</a> (${(c.changedRatio * 100).toFixed(2)}% changed${c.sizeChanged ? ', size changed' : ''})</div>`).join('');
+      const notes = [
+        s.fallback ? 'fallback capture' : '',
+        s.degraded ? `degraded – not ready: ${s.notReady.join(', ')}` : '',
+        ...(s.failedChecks || []),
+        s.error || '',
+      ].filter(Boolean).map((n) => `<div class="note">${esc(n)}</div>`).join('');
+      const vs = s.compare ? ` ${badge(s.compare.status)}` : '';
+      return `<td><div>${esc(s.step)} ${badge(s.status)}${vs}</div>${imgs}${notes}${diffs}</td>`;
+    }).join('');
+    return `<tr>
+  <td>${r.row}</td>
+  <td>${r.url ? `<a href="${esc(r.url)}">${esc(r.registrantId)}</a>` : '—'}</td>
+  <td>${badge(r.outcome)}</td>
+  ${steps}
+  <td>${r.blobUrl ? `<a href="${esc(r.blobUrl)}">zip</a>` : ''}${r.comparedWith ? `<div class="note">vs ${esc(r.comparedWith)}</div>` : ''}</td>
+  <td>${r.durationMs != null ? (r.durationMs / 1000).toFixed(1) + 's' : ''}</td>
+  <td>${[...r.warnings, r.error].filter(Boolean).map((w) => `<div class="note">${esc(w)}</div>`).join('')}</td>
+</tr>`;
+  }).join('\n');
+  const stepHeads = (report.registrants[0] ? report.registrants[0].steps : [])
+    .map((s) => `<th>${esc(s.step)} ${esc(s.label)}</th>`).join('');
+  const totals = Object.entries(report.totals).map(([k, v]) => `${badge(k)} ${v}`).join(' &nbsp; ');
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>Swoogo capture run ${esc(report.runId)}</title>
+<style>
+  body { font: 13px/1.4 system-ui, sans-serif; margin: 20px; }
+  table { border-collapse: collapse; } th, td { border: 1px solid #ddd; padding: 6px; vertical-align: top; text-align: left; }
+  img { display: block; width: 120px; margin-top: 4px; border: 1px solid #ccc; }
+  .note { color: #a15c00; font-size: 12px; max-width: 260px; }
+  .st { padding: 1px 6px; border-radius: 8px; background: #eee; }
+  .st-success, .st-ok { background: #d4f5d4; } .st-partial, .st-invalid, .st-skipped { background: #fff1c2; }
+  .st-failed, .st-unusable-row { background: #ffd6d6; } .st-changed { background: #ffe0c2; }
+</style></head><body>
+<h1>Swoogo capture run ${esc(report.runId)}</h1>
+<p>Profile <b>${esc(report.profile)}</b> · ${esc(report.startedAt)} → ${esc(report.finishedAt)} · sink ${esc(report.sink || '')}</p>
+<p>${totals}</p>
+<table>
+<tr><th>Row</th><th>Registrant</th><th>Outcome</th>${stepHeads}<th>Blob</th><th>Time</th><th>Warnings</th></tr>
+${rows}
+</table>
+</body></html>
+`;
+}
+
+// Writes report.json / report.csv / index.html (+ fields.csv) into dir; returns the written file paths
+function writeReport(dir, report) {
+  fs.mkdirSync(dir, { recursive: true });
+  const files = {
+    'report.json': JSON.stringify(report, null, 2),
+    'report.csv': toCsv(report),
+    'index.html': toHtml(report),
+  };
+  if (report.fieldNames.length) files['fields.csv'] = toFieldsCsv(report);
+  return Object.entries(files).map(([name, body]) => {
+    const fp = path.join(dir, name);
+    fs.writeFileSync(fp, body);
+    return fp;
+  });
+}
+
+const CONTENT_TYPES = { '.json': 'application/json', '.csv': 'text/csv', '.html': 'text/html', '.jpg': 'image/jpeg', '.png': 'image/png' };
+
+// Uploads everything under dir (report files + thumbs/ + diffs/) to <prefix>/..., except the
+// top-level files named in exclude; returns the index.html URL
+async function uploadReport(sink, dir, prefix, { exclude = [] } = {}) {
+  let indexUrl = null;
+  const walk = (d) => fs.readdirSync(d, { withFileTypes: true })
+    .flatMap((e) => (e.isDirectory() ? walk(path.join(d, e.name)) : [path.join(d, e.name)]));
+  for (const fp of walk(dir)) {
+    const rel = path.relative(dir, fp).split(path.sep).join('/');
+    if (exclude.includes(rel)) continue;
+    const url = await sink.upload(fp, `${prefix}/${rel}`, { contentType: CONTENT_TYPES[path.extname(fp)] || 'application/octet-stream' });
+    if (rel === 'index.html') indexUrl = url;
+  }
+  return indexUrl;
+}
+
+module.exports = { makeRunId, makeThumbnails, buildReport, writeReport, uploadReport, toCsv, toFieldsCsv, toHtml, isFallbackFile, csvCell };
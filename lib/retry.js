@@ -0,0 +1,39 @@
+/**
+ * Retry with exponential backoff + jitter (--retries / --retry-delay).
+ */
+
+const log = require('./log');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const DEFAULT_POLICY = { attempts: 3, baseDelay: 1000, maxDelay: 15000 };
+
+// Backoff for the given (1-based) failed attempt: base * 2^(n-1), capped, with +/-50% jitter
+function backoffDelay(attempt, { baseDelay, maxDelay }) {
+  const d = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(d / 2 + Math.random() * d / 2);
+}
+
+// Runs fn(attempt) until it resolves or policy.attempts is used up; every failed attempt is logged.
+// The final error is marked `retriesExhausted` so an enclosing withRetry doesn't retry it again;
+// errors with `retryable === false` are thrown straight away.
+async function withRetry(label, fn, policy = DEFAULT_POLICY) {
+  const p = { ...DEFAULT_POLICY, ...policy };
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      const msg = e?.message?.split('\n')[0] || String(e);
+      if (e?.retriesExhausted || e?.retryable === false || attempt >= p.attempts) {
+        if (p.attempts > 1 && !e?.retriesExhausted && e?.retryable !== false) log.warn(`    ↻ ${label}: attempt ${attempt}/${p.attempts} failed, giving up – ${msg}`);
+        if (e && typeof e === 'object') e.retriesExhausted = true;
+        throw e;
+      }
+      const wait = backoffDelay(attempt, p);
+      log.warn(`    ↻ ${label}: attempt ${attempt}/${p.attempts} failed, retrying in ${wait}ms – ${msg}`);
+      await sleep(wait);
+    }
+  }
+}
+
+module.exports = { withRetry, backoffDelay, DEFAULT_POLICY };
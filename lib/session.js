@@ -0,0 +1,79 @@
+/**
+ * Session guard – notices when Swoogo bounced us to the login page and gets a fresh session.
+ * -------------------------------------------------------------
+ * After every navigation, `check(page, response)` looks for a redirect to the login page or a
+ * 401 – nothing else counts as an expired session (a 403 or a page that merely has a password
+ * field is an answer about that page, not about the login). When the session is gone:
+ *  - interactive (default): pause all navigation, reopen the `login` window,
+ *    load the new cookies into every worker context, then let the caller retry the same page
+ *  - --no-interactive: throw SessionExpiredError so the run stops straight away
+ * A re-login that fails also throws SessionExpiredError, which withRetry never retries.
+ */
+
+const fs = require('fs');
+const log = require('./log');
+
+class SessionExpiredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionExpiredError';
+    this.retryable = false; // withRetry must not hammer the login page
+  }
+}
+
+const LOGIN_PATH = /\/(login|signin|sign-in)(\/|$|\?)/i;
+
+function isLoginPage(page, response) {
+  if (response && response.status() === 401) return true;
+  try {
+    return LOGIN_PATH.test(new URL(page.url()).pathname + '/');
+  } catch {
+    return false;
+  }
+}
+
+// relogin(authPath) runs the interactive login and writes a fresh storage state to authPath.
+// contexts() returns every live BrowserContext that should get the new cookies.
+function createSessionGuard({ authPath, interactive = true, relogin, contexts }) {
+  let renewing = null;
+
+  async function refreshContexts() {
+    const state = JSON.parse(fs.readFileSync(authPath, 'utf8'));
+    for (const ctx of contexts()) {
+      await ctx.clearCookies();
+      await ctx.addCookies(state.cookies || []);
+    }
+  }
+
+  // One login at a time; every worker that notices the expiry waits on the same promise
+  function renew() {
+    if (!renewing) {
+      renewing = (async () => {
+        log.warn('\n🔒 Swoogo session expired – pausing the run and reopening the login window...');
+        try {
+          await relogin(authPath);
+          await refreshContexts();
+        } catch (e) {
+          throw new SessionExpiredError(`Re-login failed: ${e?.message || e}`);
+        }
+        log.info('🔓 Session refreshed, resuming.');
+      })().finally(() => { renewing = null; });
+    }
+    return renewing;
+  }
+
+  return {
+    // Wait for an in-progress re-login before starting a new navigation
+    async ready() { if (renewing) await renewing.catch(() => {}); },
+
+    // Returns true if the page needed a new session (caller should navigate again)
+    async check(page, response) {
+      if (!(await isLoginPage(page, response))) return false;
+      if (!interactive) throw new SessionExpiredError(`Session expired (landed on ${page.url()}); log in again with "node capture.js login --auth ${authPath}"`);
+      await renew();
+      return true;
+    },
+  };
+}
+
+module.exports = { createSessionGuard, isLoginPage, SessionExpiredError };
@@ -0,0 +1,221 @@
+/**
+ * Storage sinks – where registrant zips go after capture (--sink).
+ * -------------------------------------------------------------
+ * Every sink exposes the same shape:
+ *   { name, describe(), upload(localPath, blobName, { contentType, metadata, tags }) → url,
+ *     exists(blobName) → bool, url(blobName), download(blobName, localPath), list(prefix) → [blobName] }
+ *
+ * metadata/tags are flat { key: string } maps: object metadata + index tags on S3/Azure,
+ * a <blob>.meta.json sidecar for the local sink.
+ *
+ *  local  copy into a folder (--sink-dir, default <out>/zips)
+ *  s3     S3-compatible bucket (AWS, MinIO, ...)
+ *           S3_BUCKET, S3_ENDPOINT (optional), S3_REGION / AWS_REGION, S3_PREFIX (optional),
+ *           credentials from the usual AWS env vars / profile
+ *  azure  Azure Blob container (Azurite works via its connection string)
+ *           AZURE_BLOB_CONTAINER + AZURE_STORAGE_CONNECTION_STRING, or AZURE_BLOB_SAS_URL
+ *
+ * Clients (and their SDKs) are only loaded when that sink is selected, so a local
+ * capture needs no cloud credentials at all.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fsp = fs.promises;
+const { pipeline } = require('stream/promises');
+
+const SINKS = ['local', 's3', 'azure'];
+const IF_EXISTS = ['version', 'skip', 'overwrite'];
+const BLOB_NAME_VARS = ['eventId', 'regId', 'runId', 'date', 'profile'];
+const DEFAULT_BLOB_NAME = '{regId}.zip';
+
+function createLocalSink({ dir }) {
+  const root = path.resolve(dir);
+  return {
+    name: 'local',
+    describe: () => root,
+    async upload(localPath, blobName, { metadata, tags } = {}) {
+      const dest = path.join(root, blobName);
+      await fsp.mkdir(path.dirname(dest), { recursive: true });
+      await fsp.copyFile(localPath, dest);
+      if (metadata || tags) await fsp.writeFile(`${dest}.meta.json`, JSON.stringify({ metadata, tags }, null, 2));
+      return dest;
+    },
+    exists: async (blobName) => fs.existsSync(path.join(root, blobName)),
+    url: (blobName) => path.join(root, blobName),
+    async download(blobName, localPath) {
+      await fsp.copyFile(path.join(root, blobName), localPath);
+      return localPath;
+    },
+    async list(prefix = '') {
+      const walk = (d) => (fs.existsSync(d) ? fs.readdirSync(d, { withFileTypes: true }) : [])
+        .flatMap((e) => (e.isDirectory() ? walk(path.join(d, e.name)) : [path.join(d, e.name)]));
+      return walk(root).map((f) => path.relative(root, f).split(path.sep).join('/'))
+        .filter((n) => n.startsWith(prefix) && !n.endsWith('.meta.json'));
+    },
+  };
+}
+
+function createS3Sink(env = process.env) {
+  const bucket = env.S3_BUCKET || '';
+  if (!bucket) throw new Error('S3_BUCKET is not set');
+  const endpoint = env.S3_ENDPOINT || '';
+  const region = env.S3_REGION || env.AWS_REGION || 'us-east-1';
+  const prefix = (env.S3_PREFIX || '').replace(/^\/+|\/+$/g, '');
+
+  const { S3Client, PutObjectCommand, HeadObjectCommand, GetObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+  // path-style addressing is what MinIO and most self-hosted endpoints expect
+  const client = new S3Client({ region, ...(endpoint ? { endpoint, forcePathStyle: true } : {}) });
+  const keyFor = (blobName) => (prefix ? `${prefix}/${blobName}` : blobName);
+  const urlFor = (Key) => (endpoint
+    ? `${endpoint.replace(/\/+$/, '')}/${bucket}/${Key}`
+    : `https://${bucket}.s3.${region}.amazonaws.com/${Key}`);
+
+  return {
+    name: 's3',
+    describe: () => `s3://${bucket}/${prefix}${endpoint ? ` @ ${endpoint}` : ''}`,
+    async upload(localPath, blobName, { contentType = 'application/zip', metadata, tags } = {}) {
+      const Key = keyFor(blobName);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key,
+        Body: fs.createReadStream(localPath),
+        ContentLength: fs.statSync(localPath).size,
+        ContentType: contentType,
+        Metadata: metadata,
+        Tagging: tags ? new URLSearchParams(tags).toString() : undefined,
+      }));
+      return urlFor(Key);
+    },
+    async exists(blobName) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: keyFor(blobName) }));
+        return true;
+      } catch (e) {
+        if (e.name === 'NotFound' || (e.$metadata && e.$metadata.httpStatusCode === 404)) return false;
+        throw e;
+      }
+    },
+    url: (blobName) => urlFor(keyFor(blobName)),
+    async download(blobName, localPath) {
+      const res = await client.send(new GetObjectCommand({ Bucket: bucket, Key: keyFor(blobName) }));
+      await pipeline(res.Body, fs.createWriteStream(localPath));
+      return localPath;
+    },
+    async list(listPrefix = '') {
+      const names = [];
+      let ContinuationToken;
+      do {
+        const res = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: keyFor(listPrefix), ContinuationToken }));
+        for (const o of res.Contents || []) names.push(prefix ? o.Key.slice(prefix.length + 1) : o.Key);
+        ContinuationToken = res.IsTruncated ? res.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return names;
+    },
+  };
+}
+
+function buildAzureContainerClient(env = process.env) {
+  const conn = env.AZURE_STORAGE_CONNECTION_STRING || '';
+  const container = env.AZURE_BLOB_CONTAINER || '';
+  const sasUrl = env.AZURE_BLOB_SAS_URL || ''; // optional
+
+  const { BlobServiceClient } = require('@azure/storage-blob');
+  if (!container) {
+    throw new Error('AZURE_BLOB_CONTAINER is not set');
+  }
+
+  if (conn) {
+    const service = BlobServiceClient.fromConnectionString(conn);
+    return service.getContainerClient(container);
+  }
+  if (sasUrl) {
+    // Expecting full container SAS URL, e.g. https://<acct>.blob.core.windows.net/<container>?<sas>
+    return new BlobServiceClient(sasUrl).getContainerClient('');
+  }
+  throw new Error('Provide either AZURE_STORAGE_CONNECTION_STRING or AZURE_BLOB_SAS_URL');
+}
+
+function createAzureSink(env = process.env) {
+  const containerClient = buildAzureContainerClient(env);
+  return {
+    name: 'azure',
+    describe: () => containerClient.url.split('?')[0],
+    async upload(localPath, blobName, { contentType = 'application/zip', metadata, tags } = {}) {
+      const blockBlob = containerClient.getBlockBlobClient(blobName);
+      const stream = fs.createReadStream(localPath);
+      await blockBlob.uploadStream(stream, 4 * 1024 * 1024, 5, {
+        blobHTTPHeaders: { blobContentType: contentType },
+        metadata,
+        tags,
+      });
+      return blockBlob.url;
+    },
+    exists: (blobName) => containerClient.getBlockBlobClient(blobName).exists(),
+    url: (blobName) => containerClient.getBlockBlobClient(blobName).url,
+    async download(blobName, localPath) {
+      await containerClient.getBlockBlobClient(blobName).downloadToFile(localPath);
+      return localPath;
+    },
+    async list(prefix = '') {
+      const names = [];
+      for await (const b of containerClient.listBlobsFlat({ prefix })) names.push(b.name);
+      return names;
+    },
+  };
+}
+
+// Missing configuration for a sink, as messages (empty when it's good to go)
+function checkSinkEnv(kind, env = process.env) {
+  const problems = [];
+  if (kind === 's3' && !env.S3_BUCKET) problems.push('--sink s3: S3_BUCKET is not set');
+  if (kind === 'azure') {
+    if (!env.AZURE_BLOB_CONTAINER) problems.push('--sink azure: AZURE_BLOB_CONTAINER is not set');
+    if (!env.AZURE_STORAGE_CONNECTION_STRING && !env.AZURE_BLOB_SAS_URL) {
+      problems.push('--sink azure: set AZURE_STORAGE_CONNECTION_STRING or AZURE_BLOB_SAS_URL');
+    }
+  }
+  return problems;
+}
+
+// Problems with a --blob-name template (unknown placeholders, no {regId}, absolute paths)
+function checkBlobTemplate(template) {
+  const problems = [];
+  const vars = [...template.matchAll(/\{(\w+)\}/g)].map((m) => m[1]);
+  for (const v of vars) if (!BLOB_NAME_VARS.includes(v)) problems.push(`--blob-name: unknown placeholder {${v}} (use ${BLOB_NAME_VARS.map((x) => `{${x}}`).join(', ')})`);
+  if (!vars.includes('regId')) problems.push('--blob-name must contain {regId}, or registrants would overwrite each other');
+  if (/^\/|\.\.(\/|$)/.test(template)) problems.push('--blob-name must be a relative name without ".."');
+  return problems;
+}
+
+// vars: { eventId, regId, runId, date, profile }; missing values become "unknown"
+function expandBlobName(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (m, k) => String(vars[k] || 'unknown').replace(/[^\w.-]/g, '_'));
+}
+
+// Applies --if-exists to blobName: { blobName, skip } – "version" picks the first free
+// <name>.v2.zip, <name>.v3.zip, ...; "skip" keeps what's there; "overwrite" replaces it.
+async function resolveBlobName(sink, blobName, policy) {
+  if (policy === 'overwrite' || !(await sink.exists(blobName))) return { blobName, skip: false };
+  if (policy === 'skip') return { blobName, skip: true };
+  const m = /^(.*?)((?:\.zip)?(?:\.enc)?)$/.exec(blobName);
+  for (let v = 2; ; v++) {
+    const candidate = `${m[1]}.v${v}${m[2]}`;
+    if (!(await sink.exists(candidate))) return { blobName: candidate, skip: false };
+  }
+}
+
+// kind: 'local' | 's3' | 'azure'; opts.dir is used by the local sink
+function createSink(kind, opts = {}) {
+  switch (kind) {
+    case 'local': return createLocalSink(opts);
+    case 's3':    return createS3Sink(opts.env);
+    case 'azure': return createAzureSink(opts.env);
+    default: throw new Error(`Unknown --sink "${kind}" (expected one of: ${SINKS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  SINKS, IF_EXISTS, BLOB_NAME_VARS, DEFAULT_BLOB_NAME, createSink, checkSinkEnv, checkBlobTemplate, expandBlobName,
+  resolveBlobName, buildAzureContainerClient,
+};
@@ -0,0 +1,64 @@
+/**
+ * Page source alongside the screenshots (on by default, --no-source to skip).
+ * -------------------------------------------------------------
+ * For a captured page, next to <fileBase>.png:
+ *   <fileBase>.mhtml        serialized DOM + assets via CDP (re-opens in Chrome); .html if CDP isn't available
+ *   <fileBase>__email.html  HTML source of the email preview iframe(s), when present
+ *   <fileBase>.txt          visible text of the page and every frame, for searching
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./log');
+
+async function saveMhtml(page, fileBase) {
+  try {
+    const cdp = await page.context().newCDPSession(page);
+    try {
+      const { data } = await cdp.send('Page.captureSnapshot', { format: 'mhtml' });
+      fs.writeFileSync(`${fileBase}.mhtml`, data);
+      return `${fileBase}.mhtml`;
+    } finally {
+      await cdp.detach().catch(() => {});
+    }
+  } catch {
+    fs.writeFileSync(`${fileBase}.html`, await page.content());
+    return `${fileBase}.html`;
+  }
+}
+
+async function saveFrameHtml(page, fileBase, iframeSrc) {
+  const frames = page.frames().filter((f) => f !== page.mainFrame() && f.url().includes(iframeSrc));
+  const written = [];
+  for (const [i, frame] of frames.entries()) {
+    const fp = `${fileBase}__email${frames.length > 1 ? `_${i + 1}` : ''}.html`;
+    fs.writeFileSync(fp, await frame.content());
+    written.push(fp);
+  }
+  return written;
+}
+
+async function saveText(page, fileBase) {
+  const parts = [];
+  for (const frame of page.frames()) {
+    const text = await frame.evaluate(() => (document.body ? document.body.innerText : '')).catch(() => '');
+    if (!text.trim()) continue;
+    parts.push(frame === page.mainFrame() ? text.trim() : `\n----- frame: ${frame.url()} -----\n${text.trim()}`);
+  }
+  fs.writeFileSync(`${fileBase}.txt`, `Source: ${page.url()}\nSaved: ${new Date().toISOString()}\n\n${parts.join('\n')}\n`);
+  return `${fileBase}.txt`;
+}
+
+// Best-effort: a failure here is logged but never fails the screenshot step
+async function savePageSource(page, fileBase, { iframeSrc = '/frontend/preview/email' } = {}) {
+  const written = [];
+  for (const save of [() => saveMhtml(page, fileBase), () => saveFrameHtml(page, fileBase, iframeSrc), () => saveText(page, fileBase)]) {
+    try { written.push(...[].concat(await save())); } catch (e) {
+      log.warn(`  ⚠ Could not save page source for ${path.basename(fileBase)}:`, e?.message || e);
+    }
+  }
+  log.info('  ✔', written.map((f) => path.extname(f).slice(1)).join(' + '), 'source for', path.basename(fileBase));
+  return written;
+}
+
+module.exports = { savePageSource };
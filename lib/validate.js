@@ -0,0 +1,49 @@
+/**
+ * Content checks for captured evidence (profile `validate` block per step).
+ * -------------------------------------------------------------
+ *   validate:
+ *     registrant: true                     # registrant ID or name appears in the page text
+ *     patterns: ["invoice\\s*(#|no)", "total"]   # every regex (case-insensitive) must match
+ *     iframeText: /frontend/preview/email  # that iframe's body has visible text
+ *
+ * Page text includes every frame, so an email rendered in an iframe counts as page text.
+ */
+
+const norm = (s) => String(s || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+async function frameText(frame) {
+  return frame.evaluate(() => (document.body ? document.body.innerText : '')).catch(() => '');
+}
+
+async function pageText(page) {
+  const texts = await Promise.all(page.frames().map(frameText));
+  return norm(texts.join('\n'));
+}
+
+// ctx: { regId, name } – name is null when it couldn't be read off the registrant view
+async function validateStep(page, rules, { regId, name }) {
+  const checks = [];
+  if (!rules) return { ok: true, checks };
+  const text = await pageText(page);
+
+  if (rules.registrant) {
+    const needles = [regId, name].filter(Boolean).map(norm);
+    const hit = needles.find((n) => text.includes(n));
+    checks.push({ check: 'registrant', ok: !!hit, detail: hit ? `found "${hit}"` : `none of ${needles.map((n) => `"${n}"`).join(', ')} in page text` });
+  }
+
+  for (const pattern of rules.patterns || []) {
+    const ok = new RegExp(pattern, 'i').test(text);
+    checks.push({ check: `pattern /${pattern}/`, ok, detail: ok ? 'matched' : 'no match in page text' });
+  }
+
+  if (rules.iframeText) {
+    const frame = page.frames().find((f) => f.url().includes(rules.iframeText));
+    const chars = frame ? norm(await frameText(frame)).length : 0;
+    checks.push({ check: `iframe ${rules.iframeText} text`, ok: chars > 0, detail: frame ? `${chars} chars` : 'iframe not found' });
+  }
+
+  return { ok: checks.every((c) => c.ok), checks };
+}
+
+module.exports = { validateStep, pageText };
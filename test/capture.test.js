@@ -0,0 +1,199 @@
+/**
+ * End-to-end: processRegistrant against the offline fixture server, zips going to a local sink.
+ * Needs Chromium (npx playwright install chromium); without it every test is skipped, with a
+ * warning, or fails with REQUIRE_BROWSER_TESTS=1 (for CI that installs the browser).
+ *
+ *   npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { chromium } = require('playwright');
+
+const { processRegistrant } = require('../capture');
+const { openLedger } = require('../lib/ledger');
+const { createRateLimiter } = require('../lib/pool');
+const { loadProfile } = require('../lib/profile');
+const { loadRedactionProfile } = require('../lib/redact');
+const { createSink, DEFAULT_BLOB_NAME } = require('../lib/sinks');
+const { createSessionGuard } = require('../lib/session');
+const { verifyZip } = require('../lib/manifest');
+const { makeRunId } = require('../lib/report');
+const { startFixtureServer } = require('./fixtures/server');
+
+const hasChromium = (() => { try { return fs.existsSync(chromium.executablePath()); } catch { return false; } })();
+const requireBrowser = !!process.env.REQUIRE_BROWSER_TESTS;
+const skip = hasChromium || requireBrowser ? false : 'Chromium is not installed (npx playwright install chromium)';
+if (skip) {
+  process.stderr.write('\n⚠ Chromium is not installed: the end-to-end capture tests are SKIPPED, so nothing here ran\n'
+    + '  processRegistrant, tab capture, redaction or multi-event keying. Install it with "npx playwright install chromium"\n'
+    + '  (REQUIRE_BROWSER_TESTS=1 turns this into a failure).\n\n');
+}
+
+let server;
+let browser;
+const tmpDirs = [];
+
+before(async () => {
+  if (!hasChromium && requireBrowser) throw new Error('REQUIRE_BROWSER_TESTS is set but Chromium is not installed (npx playwright install chromium)');
+  if (!hasChromium) return;
+  server = await startFixtureServer();
+  browser = await chromium.launch({ headless: true });
+});
+
+after(async () => {
+  if (browser) await browser.close();
+  if (server) await server.close();
+  for (const dir of tmpDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A fresh <out> folder, ledger and local sink, shaped like the run main() builds
+function makeRun(overrides = {}) {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'capture-test-'));
+  tmpDirs.push(outDir);
+  const sinkDir = path.join(outDir, 'zips');
+  return {
+    outDir,
+    sinkDir,
+    delay: 0,
+    readyTimeout: 15000,
+    pdf: false,
+    viewport: { width: 1280, height: 900 },
+    sink: createSink('local', { dir: sinkDir }),
+    ledger: openLedger(outDir),
+    resume: false,
+    throttle: createRateLimiter(0),
+    retry: { attempts: 2, baseDelay: 10 },
+    profile: loadProfile(),
+    blockOnInvalid: false,
+    emailFilter: null,
+    source: true,
+    redaction: null,
+    encryption: null,
+    runId: makeRunId(),
+    blobTemplate: DEFAULT_BLOB_NAME,
+    ifExists: 'version',
+    thumbDir: path.join(outDir, 'thumbs'),
+    session: createSessionGuard({
+      authPath: path.join(outDir, 'auth.json'),
+      interactive: false,
+      relogin: async () => { throw new Error('no login in tests'); },
+      contexts: () => [],
+    }),
+    ...overrides,
+  };
+}
+
+async function capture(run, id) {
+  const context = await browser.newContext({ viewport: run.viewport });
+  try {
+    return await processRegistrant(await context.newPage(), server.registrantUrl(id), run);
+  } finally {
+    await context.close();
+  }
+}
+
+test('captures every default-profile step into a verified zip', { skip }, async () => {
+  const run = makeRun();
+  const { outcome, thumbs } = await capture(run, '1001');
+  assert.equal(outcome, 'success');
+
+  const steps = run.ledger.get('1001').steps;
+  for (const s of run.profile.steps) {
+    assert.equal(steps[s.step].status, 'ok', `step ${s.step}`);
+    assert.ok(!steps[s.step].degraded, `step ${s.step} degraded: ${JSON.stringify(steps[s.step].ready)}`);
+  }
+  assert.equal(steps.upload.blobName, '1001.zip');
+  assert.ok(!fs.existsSync(path.join(run.outDir, '1001')), 'registrant folder is deleted after upload');
+
+  const zipPath = path.join(run.sinkDir, '1001.zip');
+  const res = verifyZip(zipPath);
+  assert.ok(res.ok, res.problems.join('\n'));
+  const names = new AdmZip(zipPath).getEntries().map((e) => e.entryName);
+  for (const f of [
+    '1001__01_Attendance_Status_Proof.png', '1001__01_Attendance_Status_Proof.mhtml',
+    '1001__05_Confirmation_email.png', '1001__06_Invoice.png', '1001__03_Ticket_Email_Preview.png',
+    '1001__03_Ticket_Email_Preview__email.html', 'manifest.json', '1001__fields.json',
+  ]) assert.ok(names.includes(f), `${f} in zip (${names.join(', ')})`);
+  // 01 and 02 are their own tab panels of the record, not the same view twice
+  assert.ok(names.includes('1001__02_Contact_Details.png'));
+  assert.ok(!names.some((n) => n.endsWith('_full.png')), `no full-page fallbacks (${names.join(', ')})`);
+  const zip = new AdmZip(zipPath);
+  assert.notDeepEqual(zip.readFile('1001__01_Attendance_Status_Proof.png'), zip.readFile('1001__02_Contact_Details.png'));
+  assert.match(zip.readAsText('1001__01_Attendance_Status_Proof.txt'), /Opening Keynote/);
+  // one file per Send Email template
+  assert.equal(names.filter((n) => /^1001__04_Email_.*\.png$/.test(n)).length, server.templates.length);
+  assert.ok(Object.keys(thumbs).length >= 6);
+
+  // the details are only there once the spinner's fetch answered
+  const fields = JSON.parse(new AdmZip(zipPath).readAsText('1001__fields.json')).fields;
+  assert.equal(fields.name, 'Ada Lovelace');
+  assert.equal(fields.email, 'ada@example.com');
+  assert.equal(fields.registrationType, 'Speaker');
+  assert.equal(fields.invoiceNumber, 'INV-1001');
+  assert.equal(fields.paymentStatus, 'Paid');
+});
+
+test('a second capture is uploaded as a new version', { skip }, async () => {
+  const run = makeRun({ profile: { ...loadProfile(), steps: loadProfile().steps.filter((s) => s.step === '01') } });
+  assert.equal((await capture(run, '1002')).outcome, 'success');
+  assert.equal((await capture(run, '1002')).outcome, 'success');
+  assert.deepEqual(fs.readdirSync(run.sinkDir).filter((f) => f.endsWith('.zip')).sort(), ['1002.v2.zip', '1002.zip']);
+  const meta = JSON.parse(fs.readFileSync(path.join(run.sinkDir, '1002.v2.zip.meta.json'), 'utf8'));
+  assert.equal(meta.metadata.registrantId, '1002');
+  assert.equal(meta.metadata.eventId, server.eventId);
+});
+
+test('steps another profile left in the ledger do not change the outcome', { skip }, async () => {
+  const run = makeRun({ blockOnInvalid: true, profile: { ...loadProfile(), steps: loadProfile().steps.filter((s) => s.step === '01') } });
+  run.ledger.record('1002', { url: server.registrantUrl('1002'), step: '99', status: 'invalid', files: [] });
+  assert.equal((await capture(run, '1002')).outcome, 'success');
+  assert.equal(run.ledger.get('1002').steps.upload.status, 'ok');
+});
+
+test('the same registrant id in two events gets its own folder, ledger entry and blob', { skip }, async () => {
+  const run = makeRun({ multiEvent: true, blobTemplate: '{eventId}/{regId}.zip', profile: { ...loadProfile(), steps: loadProfile().steps.filter((s) => s.step === '01') } });
+  const other = server.registrantUrl('1001').replace(`eventId=${server.eventId}`, 'eventId=300001');
+  assert.equal((await capture(run, '1001')).outcome, 'success');
+  const context = await browser.newContext({ viewport: run.viewport });
+  try {
+    assert.equal((await processRegistrant(await context.newPage(), other, run)).outcome, 'success');
+  } finally {
+    await context.close();
+  }
+  assert.equal(run.ledger.get(`${server.eventId}_1001`).steps.upload.blobName, `${server.eventId}/1001.zip`);
+  assert.equal(run.ledger.get('300001_1001').steps.upload.blobName, '300001/1001.zip');
+  assert.equal(run.ledger.get('1001'), null);
+});
+
+test('a page that never settles is captured anyway and marked degraded', { skip }, async () => {
+  const run = makeRun({ readyTimeout: 1500, profile: { ...loadProfile(), steps: loadProfile().steps.filter((s) => s.step === '01') } });
+  server.latency = 8000;
+  try {
+    assert.equal((await capture(run, '1001')).outcome, 'success');
+  } finally {
+    server.latency = 300;
+  }
+  const step = run.ledger.get('1001').steps['01'];
+  assert.equal(step.degraded, true);
+  assert.ok(step.ready.timedOut.includes('spinner'), JSON.stringify(step.ready));
+});
+
+test('the redacted copy holds no masked value, in the screenshots\' page source either', { skip }, async () => {
+  const redaction = loadRedactionProfile(path.join(__dirname, '..', 'profiles', 'redaction-external.json'));
+  const run = makeRun({ redaction, profile: { ...loadProfile(), steps: loadProfile().steps.filter((s) => s.step === '02') } });
+  assert.equal((await capture(run, '1001')).outcome, 'success');
+
+  const unfold = (s) => s.replace(/=\r?\n/g, ''); // MHTML is quoted-printable
+  const full = new AdmZip(path.join(run.sinkDir, '1001.zip'));
+  const fullSource = full.getEntries().find((e) => /02_Contact_Details\.m?html$/.test(e.entryName));
+  assert.match(unfold(full.readAsText(fullSource)), /7946 0001/);
+  const red = new AdmZip(path.join(run.sinkDir, 'redacted', '1001.zip'));
+  const sources = red.getEntries().filter((e) => /\.(mhtml|html|txt)$/.test(e.entryName));
+  assert.ok(sources.length, 'redacted copy has page source');
+  for (const e of sources) assert.doesNotMatch(unfold(red.readAsText(e)), /7946 0001/, e.entryName);
+});
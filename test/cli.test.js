@@ -0,0 +1,97 @@
+/**
+ * Command line: parseCli's problems, reported together before anything is launched
+ * (no browser needed).
+ *
+ *   npm test
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseCli, CliError } = require('../lib/cli');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const csv = path.join(tmp, 'registrants.csv');
+fs.writeFileSync(csv, 'registrant_url\n');
+const LOCAL = ['--sink', 'local'];
+
+// the problems parseCli throws for argv, one per line
+function problems(argv, env = {}) {
+  try {
+    parseCli(argv, env);
+  } catch (e) {
+    assert.ok(e instanceof CliError, e.stack);
+    return e.message.split('\n');
+  }
+  return assert.fail(`no problems for ${argv.join(' ')}`);
+}
+
+test('a good capture command line parses, defaults filled in', () => {
+  const { command, opts, explicit, given } = parseCli(['--in', csv, ...LOCAL, '--viewport', '1280x900', '--rate=0.5'], {});
+  assert.equal(command, 'capture');
+  assert.equal(explicit, false);
+  assert.deepEqual(opts.viewport, { width: 1280, height: 900 });
+  assert.equal(opts.rate, 0.5);
+  assert.equal(opts.ifExists, 'version');
+  assert.deepEqual([...given].sort(), ['in', 'rate', 'sink', 'viewport']);
+  assert.equal(parseCli(['--save-session'], {}).command, 'login');
+});
+
+test('unknown commands and options, with a suggestion for a typo', () => {
+  assert.deepEqual(problems(['grab']), ['Unknown command "grab" (expected one of: login, capture, batch, serve, verify, decrypt)']);
+  assert.deepEqual(problems(['capture', '--in', csv, ...LOCAL, '--concurency', '2', '--frobnicate']), [
+    'Unknown option --concurency (did you mean --concurrency?)',
+    'Unknown option --frobnicate',
+    'Unexpected argument(s): 2',
+  ]);
+  assert.deepEqual(problems(['login', '--resume']), ['--resume doesn\'t apply to "login"']);
+});
+
+test('bad values are all reported at once', () => {
+  assert.deepEqual(problems(['--in', csv, ...LOCAL, '--viewport', 'big', '--retries', '0', '--rate', 'fast', '--concurrency', '1.5',
+    '--if-exists', 'replace', '--status', '(', '--blob-name', '/{eventId}.zip', '--out']), [
+    '--viewport must look like 1600x1200, got "big"',
+    '--retries must be at least 1',
+    '--rate must be a number, got "fast"',
+    '--concurrency must be a whole number, got "1.5"',
+    '--if-exists must be one of version, skip, overwrite, got "replace"',
+    '--status: Invalid regular expression: /(/i: Unterminated group',
+    '--out needs a value <dir>',
+    '--blob-name must contain {regId}, or registrants would overwrite each other',
+    '--blob-name must be a relative name without ".."',
+  ]);
+});
+
+test('capture needs exactly one registrant source, and its sink configured', () => {
+  assert.deepEqual(problems(['capture']), ['Missing --in <file.csv> (or --event <id>)', '--sink azure: AZURE_BLOB_CONTAINER is not set',
+    '--sink azure: set AZURE_STORAGE_CONNECTION_STRING or AZURE_BLOB_SAS_URL']);
+  assert.deepEqual(problems(['--in', csv, '--event', '255274', ...LOCAL]), ['Use either --in or --event, not both']);
+  assert.deepEqual(problems(['--in', path.join(tmp, 'nope.csv'), '--sink', 's3', '--pdf']), [
+    `--in: file not found: ${path.join(tmp, 'nope.csv')}`,
+    '--pdf needs --headless (Chromium only prints PDFs headless)',
+    '--sink s3: S3_BUCKET is not set',
+  ]);
+  assert.deepEqual(problems(['--event', '255274', ...LOCAL], { SWOOGO_API_KEY: 'k' }), ['SWOOGO_API_KEY and SWOOGO_API_SECRET must be set together']);
+  assert.deepEqual(problems(['--in', csv, ...LOCAL, '--encrypt-password']), ['--encrypt-password needs EVIDENCE_ZIP_PASSWORD to be set']);
+  assert.deepEqual(problems(['--in', csv, ...LOCAL, '--encrypt-password', '--compare-with', '20250907-142501'], { EVIDENCE_ZIP_PASSWORD: 'pw' }), [
+    "--compare-with doesn't work with --encrypt-key / --encrypt-password (the prior zips are encrypted too)",
+  ]);
+});
+
+test('file commands check their files', () => {
+  assert.deepEqual(problems(['verify']), ['verify needs at least one <registrant.zip>']);
+  assert.deepEqual(problems(['batch', csv, csv]), ['batch needs exactly one <jobs.yaml>']);
+  assert.deepEqual(problems(['decrypt', path.join(tmp, 'x.zip.enc'), '--out-dir', csv]), [
+    `${path.join(tmp, 'x.zip.enc')}: file not found`,
+    `--out-dir: ${csv} is a file, not a folder`,
+  ]);
+  assert.deepEqual(problems(['serve', ...LOCAL, '--port', '70000', '--profiles-dir', path.join(tmp, 'profiles')]), [
+    `--profiles-dir: folder not found: ${path.join(tmp, 'profiles')}`,
+    '--port must be at most 65535',
+  ]);
+});
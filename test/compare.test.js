@@ -0,0 +1,136 @@
+/**
+ * --compare-with: which prior zip a registrant is compared with, which steps of a capture are
+ * compared, and diffInPage's pixel arithmetic on a jsdom page with a stand-in canvas (no browser
+ * needed).
+ *
+ *   npm test
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { JSDOM } = require('jsdom');
+
+const { createPriorLocator, compareRegistrant, diffInPage } = require('../lib/compare');
+const { createSink } = require('../lib/sinks');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'compare-test-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+test('only captured steps whose files are still there are compared', async () => {
+  const sink = createSink('local', { dir: path.join(tmp, 'zips') });
+  const prior = new AdmZip();
+  for (const f of ['1001__01_a.png', '1001__02_b.png', '1001__03_c.png']) prior.addFile(f, Buffer.from('png'));
+  fs.mkdirSync(path.join(tmp, 'zips'), { recursive: true });
+  prior.writeZip(path.join(tmp, 'zips', '1001.zip'));
+
+  const regDir = path.join(tmp, '1001');
+  fs.mkdirSync(regDir);
+  for (const f of ['1001__01_a.png', '1001__04_d.png']) fs.writeFileSync(path.join(regDir, f), 'png');
+  const diffed = [];
+  const context = {
+    newPage: async () => ({
+      evaluate: async (fn, { after: png }) => { diffed.push(png); return { width: 10, height: 10, changed: 0, sizeChanged: false, diff: null }; },
+      close: async () => {},
+    }),
+  };
+
+  const res = await compareRegistrant({
+    context, sink, locate: async () => '1001.zip', regId: '1001', regDir, diffDir: null, threshold: 0.01,
+    steps: [
+      { step: '01', status: 'ok', files: ['1001__01_a.png'] },
+      { step: '02', status: 'ok', files: ['1001__02_b.png'] }, // folder cleaned by hand
+      { step: '03', status: 'failed', files: ['1001__03_c.png'] },
+      { step: '04', status: 'invalid', files: ['1001__04_d.png'] },
+    ],
+  });
+  assert.equal(res.blobName, '1001.zip');
+  assert.deepEqual(Object.keys(res.steps), ['01', '04']);
+  assert.equal(res.steps['01'].status, 'unchanged');
+  assert.equal(res.steps['04'].status, 'new');
+  assert.equal(diffed.length, 1);
+});
+
+test('the same registrant id in two events finds each event\'s own prior zip', async () => {
+  const dir = path.join(tmp, 'prior');
+  const sink = createSink('local', { dir });
+  const zip = path.join(tmp, 'prior.zip');
+  fs.writeFileSync(zip, 'zip');
+  for (const name of ['255274/1001.zip', '300001/1001.zip', '300001/1001.v2.zip', 'single/1002.zip']) await sink.upload(zip, name);
+
+  const byPrefix = createPriorLocator(sink, '', tmp);
+  assert.equal(await byPrefix('1001', '255274'), '255274/1001.zip');
+  assert.equal(await byPrefix('1001', '300001'), '300001/1001.v2.zip');
+  assert.equal(await byPrefix('1001', '400000'), null);
+  assert.equal(await byPrefix('1002', '255274'), 'single/1002.zip', 'no event folder: the registrant id alone');
+
+  const runId = '20250907-142501';
+  const view = (eventId, id) => `https://www.swoogo.com/loggedin/registrant/view?eventId=${eventId}&id=${id}`;
+  fs.mkdirSync(path.join(tmp, 'reports', runId), { recursive: true });
+  fs.writeFileSync(path.join(tmp, 'reports', runId, 'report.json'), JSON.stringify({
+    registrants: [
+      { registrantId: '1001', url: view('255274', '1001'), blobUrl: 'x', blobName: '255274/1001.zip' },
+      { registrantId: '1001', url: view('300001', '1001'), blobUrl: 'x', blobName: '300001/1001.zip' },
+    ],
+  }));
+  const byRun = createPriorLocator(sink, runId, tmp);
+  assert.equal(await byRun('1001', '255274'), '255274/1001.zip');
+  assert.equal(await byRun('1001', '300001'), '300001/1001.zip');
+  assert.equal(await byRun('1001', '400000'), null);
+});
+
+// diffInPage in a jsdom window (no canvas there): images are { width, height, rgba } keyed by their
+// base64 "PNG", the 2d context draws them into the canvas' pixels, and toDataURL returns the
+// pixels as JSON
+async function diffImages(images, before, after) {
+  const dom = new JSDOM('<!doctype html><body></body>', { runScripts: 'outside-only' });
+  const w = dom.window;
+  w.Image = class {
+    set src(url) { this.img = images[url.split(',')[1]]; this.naturalWidth = this.img.width; this.naturalHeight = this.img.height; }
+    async decode() {}
+  };
+  w.HTMLCanvasElement.prototype.getContext = function () {
+    const canvas = this;
+    canvas.pixels = canvas.pixels || new Uint8ClampedArray(canvas.width * canvas.height * 4);
+    return {
+      drawImage(img) {
+        for (let y = 0; y < img.naturalHeight; y++) {
+          for (let x = 0; x < img.naturalWidth; x++) {
+            for (let k = 0; k < 4; k++) canvas.pixels[(y * canvas.width + x) * 4 + k] = img.img.rgba[(y * img.naturalWidth + x) * 4 + k];
+          }
+        }
+      },
+      getImageData: () => ({ data: canvas.pixels }),
+      createImageData: (width, height) => ({ data: new Uint8ClampedArray(width * height * 4) }),
+      putImageData: (d) => { canvas.pixels = d.data; },
+    };
+  };
+  w.HTMLCanvasElement.prototype.toDataURL = function () { return 'data:application/json,' + JSON.stringify([...this.pixels]); };
+  const res = await w.eval(`(${diffInPage})`)({ before, after, tolerance: 48 });
+  return { ...res, diff: res.diff && JSON.parse(res.diff.slice(res.diff.indexOf(',') + 1)) };
+}
+
+const WHITE = [255, 255, 255, 255];
+const image = (width, height, pixels) => ({ width, height, rgba: pixels.flat() });
+
+test('diffInPage: pixels past the tolerance are changed and red in the diff image', async () => {
+  const images = {
+    before: image(2, 1, [WHITE, WHITE]),
+    same: image(2, 1, [[250, 245, 255, 255], WHITE]), // anti-aliasing: 15 below the tolerance
+    changed: image(2, 1, [WHITE, [0, 0, 0, 255]]),
+    wider: image(3, 1, [WHITE, WHITE, WHITE]),
+  };
+  assert.deepEqual(await diffImages(images, 'before', 'same'), { width: 2, height: 1, changed: 0, sizeChanged: false, diff: null });
+
+  const changed = await diffImages(images, 'before', 'changed');
+  assert.equal(changed.changed, 1);
+  assert.equal(changed.sizeChanged, false);
+  assert.deepEqual(changed.diff, [255, 255, 255, 255, 255, 0, 0, 255]); // unchanged white stays white, the change is red
+
+  const wider = await diffImages(images, 'before', 'wider');
+  assert.deepEqual([wider.width, wider.height, wider.changed, wider.sizeChanged], [3, 1, 1, true]);
+  assert.deepEqual(wider.diff.slice(8), [255, 0, 0, 255]);
+});
@@ -0,0 +1,90 @@
+/**
+ * Zip encryption: round trips with a public key and a password, a wrong key and a file
+ * altered after encryption (no browser needed).
+ *
+ *   npm test
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+const { createEncryption, encryptTo, decryptFile, isEncryptedFile, readHeader } = require('../lib/encrypt');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'encrypt-test-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const plain = crypto.randomBytes(100 * 1024);
+const plainFile = path.join(tmp, '1001.zip');
+fs.writeFileSync(plainFile, plain);
+
+// RSA key pair written as PEM files, like a recipient would hand them out
+function keyPair(name) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const pub = path.join(tmp, `${name}.pub.pem`);
+  const priv = path.join(tmp, `${name}.pem`);
+  fs.writeFileSync(pub, publicKey.export({ type: 'spki', format: 'pem' }));
+  fs.writeFileSync(priv, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  return { pub, priv };
+}
+
+async function encrypt(encryption, name) {
+  const out = path.join(tmp, `${name}.zip.enc`);
+  const { input, done } = encryptTo(encryption, out);
+  await pipeline(fs.createReadStream(plainFile), input);
+  return done;
+}
+
+test('public key: round trip, and only the matching private key opens it', async () => {
+  const alice = keyPair('alice');
+  const mallory = keyPair('mallory');
+  const enc = await encrypt(createEncryption({ keyFile: alice.pub }), 'rsa');
+  assert.ok(isEncryptedFile(enc));
+  assert.ok(!isEncryptedFile(plainFile));
+  assert.equal(fs.readFileSync(enc).indexOf(plain.subarray(0, 64)), -1, 'no plaintext in the encrypted file');
+
+  const out = decryptFile(enc, path.join(tmp, 'rsa.zip'), { privateKeyFile: alice.priv });
+  assert.ok(fs.readFileSync(out).equals(plain));
+  assert.throws(() => decryptFile(enc, path.join(tmp, 'x.zip'), { privateKeyFile: mallory.priv }), /encrypted for key [0-9a-f]{16}…, not [0-9a-f]{16}…/);
+  assert.throws(() => decryptFile(enc, path.join(tmp, 'x.zip')), /pass --key <private\.pem>/);
+
+  const weak = path.join(tmp, 'weak.pub.pem');
+  fs.writeFileSync(weak, crypto.generateKeyPairSync('rsa', { modulusLength: 1024 }).publicKey.export({ type: 'spki', format: 'pem' }));
+  assert.throws(() => createEncryption({ keyFile: weak }), /RSA key must be at least 2048 bits/);
+});
+
+test('password: round trip, and a wrong password fails', async () => {
+  const enc = await encrypt(createEncryption({ password: 'correct horse' }), 'pw');
+  assert.ok(fs.readFileSync(decryptFile(enc, path.join(tmp, 'pw.zip'), { password: 'correct horse' })).equals(plain));
+  assert.throws(() => decryptFile(enc, path.join(tmp, 'x.zip'), { password: 'battery staple' }), /wrong password\/key, or the file was altered/);
+  assert.throws(() => decryptFile(enc, path.join(tmp, 'x.zip')), /set EVIDENCE_ZIP_PASSWORD/);
+  assert.throws(() => createEncryption({}), /no password/);
+});
+
+test('a file altered after encryption is refused', async () => {
+  const enc = await encrypt(createEncryption({ password: 'correct horse' }), 'tamper');
+  const buf = fs.readFileSync(enc);
+  const { header, headerEnd } = readHeader(buf);
+  const altered = path.join(tmp, 'altered.zip.enc');
+  const refused = (b) => {
+    fs.writeFileSync(altered, b);
+    assert.throws(() => decryptFile(altered, path.join(tmp, 'x.zip'), { password: 'correct horse' }), /altered/);
+  };
+
+  const body = Buffer.from(buf); // one bit flipped in the ciphertext
+  body[headerEnd + 1000] ^= 1;
+  refused(body);
+  const tag = Buffer.from(buf); // ... in the GCM tag
+  tag[tag.length - 1] ^= 1;
+  refused(tag);
+  refused(buf.subarray(0, buf.length - 100)); // truncated
+  // the header is authenticated too: a different iv of the same length
+  const iv = Buffer.from(header.iv, 'base64');
+  iv[0] ^= 1;
+  refused(Buffer.from(buf.toString('latin1').replace(header.iv, iv.toString('base64')), 'latin1'));
+  assert.ok(!fs.existsSync(path.join(tmp, 'x.zip')), 'nothing written for a refused file');
+});
@@ -0,0 +1,206 @@
+/**
+ * Offline Swoogo stand-in for the test suite (and for trying selector changes by hand).
+ * -------------------------------------------------------------
+ * Serves the pages the capture flow walks through, with the parts that break captures in practice:
+ *
+ *   /loggedin/registrant/view          registrant view: left sidebar, #spinner-overlay until the
+ *                                      details arrive over fetch, Actions dropdown (hidden links),
+ *                                      record tabs – Overview, Attendance (in-page), Contact (&tab=contact)
+ *   /loggedin/registrant/confirmation  confirmation page with the email in a preview iframe
+ *   /loggedin/registrant/invoice       invoice (number, total, payment status)
+ *   /loggedin/registrant/send-email    Send Email page: template dropdown + preview iframe
+ *   /frontend/preview/email            the email preview itself, with a lazy-loaded banner image
+ *   /api/registrant                    JSON behind the view's spinner (answers after `latency` ms)
+ *
+ *   node test/fixtures/server.js [port]   → prints registrant URLs to point capture.js at
+ */
+
+const http = require('http');
+
+const EVENT_ID = '255274';
+const REGISTRANTS = {
+  1001: { name: 'Ada Lovelace', email: 'ada@example.com', company: 'Analytical Engines Ltd', type: 'Speaker', status: 'Registered', phone: '+44 20 7946 0001', attended: 'Checked in', checkins: [['Opening Keynote', '2025-09-16 09:12'], ['Workshop A', '2025-09-16 11:00']], invoice: 'INV-1001', total: '$250.00', payment: 'Paid' },
+  1002: { name: 'Grace Hopper', email: 'grace@example.com', company: 'Compilers Inc', type: 'Attendee', status: 'Registered', phone: '+1 202 555 0102', attended: 'Not checked in', checkins: [], invoice: 'INV-1002', total: '$125.00', payment: 'Pending' },
+};
+const TEMPLATES = [
+  { id: '4840855', name: 'Ticket Email' },
+  { id: '4840856', name: 'Confirmation Email' },
+  { id: '4840857', name: 'Reminder: Starts Tomorrow' },
+];
+
+const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const qs = (params) => new URLSearchParams(params).toString();
+
+const STYLE = `
+  body { margin: 0; font: 14px/1.5 Helvetica, Arial, sans-serif; color: #222; }
+  .sidebar { position: fixed; left: 0; top: 0; bottom: 0; width: 220px; background: #1d2b3a; color: #fff; padding: 16px; }
+  .main { margin-left: 252px; padding: 24px; }
+  dl { display: grid; grid-template-columns: 200px 1fr; gap: 6px 12px; } dt { font-weight: bold; } dd { margin: 0; }
+  .btn-group { position: relative; display: inline-block; }
+  .dropdown-menu { position: absolute; top: 100%; left: 0; background: #fff; border: 1px solid #ccc; list-style: none; margin: 0; padding: 4px 0; min-width: 180px; }
+  .dropdown-menu a { display: block; padding: 4px 12px; }
+  #spinner-overlay { position: fixed; inset: 0; background: rgba(255,255,255,.9); display: flex; align-items: center; justify-content: center; font-size: 24px; }
+  iframe { width: 100%; height: 300px; border: 1px solid #ccc; }
+  table { border-collapse: collapse; } td, th { border: 1px solid #ccc; padding: 4px 8px; }
+  .nav-tabs { display: flex; gap: 4px; list-style: none; padding: 0; border-bottom: 1px solid #ccc; }
+  .nav-tabs a { display: block; padding: 6px 14px; text-decoration: none; } .nav-tabs a[aria-selected="true"] { border: 1px solid #ccc; border-bottom-color: #fff; }
+  [role="tabpanel"] { padding: 12px 0; }
+`;
+
+function layout(title, body, { spinner = false } = {}) {
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${esc(title)} | Swoogo</title><style>${STYLE}</style></head>
+<body>
+<aside class="sidebar"><nav role="navigation"><p>Swoogo</p><p>Events</p><p>Registrants</p></nav></aside>
+<div class="main" role="main">${body}</div>
+${spinner ? '<div id="spinner-overlay">Loading…</div>' : ''}
+</body></html>`;
+}
+
+// Overview and Attendance switch in the page; Contact is a link to its own page (&tab=contact)
+function viewPage(id, r, tab) {
+  const q = { eventId: EVENT_ID, id };
+  const active = ['overview', 'attendance', 'contact'].includes(tab) ? tab : 'overview';
+  const tabLink = (key, label, href) => `<li><a role="tab" id="tab-${key}" href="${href}" aria-controls="panel-${key}" aria-selected="${key === active}">${label}</a></li>`;
+  const panel = (key, body) => `<div role="tabpanel" id="panel-${key}" aria-labelledby="tab-${key}"${key === active ? '' : ' hidden'}>${body}</div>`;
+  return layout(r.name, `
+<h1>${esc(r.name)}</h1>
+<p>Registrant ID ${esc(id)}</p>
+<div class="btn-group">
+  <button type="button" id="actions" onclick="document.getElementById('actions-menu').hidden = !document.getElementById('actions-menu').hidden">Actions</button>
+  <ul class="dropdown-menu" id="actions-menu" role="menu" hidden>
+    <li><a role="menuitem" href="/loggedin/registrant/update?${qs(q)}">Edit</a></li>
+    <li><a role="menuitem" href="/loggedin/registrant/confirmation?${qs(q)}">View Confirmation</a></li>
+    <li><a role="menuitem" href="/loggedin/registrant/invoice?${qs(q)}">View Invoice</a></li>
+  </ul>
+</div>
+<a href="/loggedin/registrant/send-email?${qs(q)}">Send Email</a>
+<h2>Details</h2>
+<dl id="details"></dl>
+<ul class="nav-tabs" role="tablist">
+  ${tabLink('overview', 'Overview', '#overview')}
+  ${tabLink('attendance', 'Attendance', '#attendance')}
+  ${tabLink('contact', 'Contact', `/loggedin/registrant/view?${qs({ ...q, tab: 'contact' })}`)}
+</ul>
+${panel('overview', '<p>Sessions, notes and history of this registration.</p>')}
+${panel('attendance', '<dl id="attendance-status"></dl><table id="checkins"></table>')}
+${panel('contact', '<dl id="contact"></dl><form id="contact-form"></form>')}
+<script>
+  for (const a of document.querySelectorAll('[role="tab"][href^="#"]')) {
+    a.addEventListener('click', (e) => {
+      e.preventDefault();
+      for (const t of document.querySelectorAll('[role="tab"]')) t.setAttribute('aria-selected', String(t === a));
+      for (const p of document.querySelectorAll('[role="tabpanel"]')) p.hidden = p.id !== a.getAttribute('aria-controls');
+    });
+  }
+  const dl = (rows) => rows.map(([k, v]) => '<dt>' + k + '</dt><dd>' + v + '</dd>').join('');
+  fetch('/api/registrant?id=${encodeURIComponent(id)}').then((res) => res.json()).then((d) => {
+    document.getElementById('details').innerHTML = dl([['Registration Status', d.status], ['Registration Type', d.type]]);
+    document.getElementById('attendance-status').innerHTML = dl([['Checked In', d.attended]]);
+    document.getElementById('checkins').innerHTML = '<tr><th>Session</th><th>Checked in at</th></tr>'
+      + (d.checkins.length ? d.checkins.map(([s, t]) => '<tr><td>' + s + '</td><td>' + t + '</td></tr>').join('') : '<tr><td colspan="2">No check-ins</td></tr>');
+    document.getElementById('contact').innerHTML = dl([['Full Name', d.name], ['Email', d.email], ['Company', d.company], ['Phone', d.phone]]);
+    document.getElementById('contact-form').innerHTML = '<label for="mobile">Mobile</label> <input id="mobile" name="mobile" value="' + d.phone + '">';
+    document.getElementById('spinner-overlay').style.display = 'none';
+  });
+</script>`, { spinner: true });
+}
+
+function emailPreview(id, r, templateId) {
+  const t = TEMPLATES.find((x) => x.id === templateId) || { name: 'Confirmation Email' };
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><style>body { margin: 0; font: 15px Georgia, serif; } .email { width: 560px; margin: 0 auto; padding: 16px; }</style></head>
+<body><div class="email-body email">
+  <img src="/img/banner.svg?t=${encodeURIComponent(templateId || '')}" loading="lazy" width="560" height="120" alt="banner">
+  <h2>${esc(t.name)}</h2>
+  <p>Dear ${esc(r.name)},</p>
+  <p>Your registration (ID ${esc(id)}) for event ${EVENT_ID} is confirmed.</p>
+  ${'<p>Agenda, venue and travel information follow.</p>'.repeat(12)}
+</div></body></html>`;
+}
+
+const BANNER = `<svg xmlns="http://www.w3.org/2000/svg" width="560" height="120"><rect width="560" height="120" fill="#2a6f97"/>
+<text x="24" y="72" font-size="36" font-family="Arial" fill="#fff">Swoogo Summit</text></svg>`;
+
+// opts.latency: ms before /api/registrant and the banner answer (settable later via server.latency)
+function startFixtureServer({ port = 0, latency = 300 } = {}) {
+  const state = { latency };
+  const timers = new Set();
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const id = url.searchParams.get('id') || '';
+    const r = REGISTRANTS[id];
+    const send = (status, type, body) => {
+      if (res.destroyed) return; // the browser gave up on a slow answer
+      res.writeHead(status, { 'Content-Type': type });
+      res.end(body);
+    };
+    const html = (body) => send(200, 'text/html; charset=utf-8', body);
+    const later = (fn) => { const t = setTimeout(() => { timers.delete(t); fn(); }, state.latency); timers.add(t); };
+
+    switch (url.pathname) {
+      case '/api/registrant':
+        return r ? later(() => send(200, 'application/json', JSON.stringify(r))) : send(404, 'application/json', '{}');
+      case '/img/banner.svg':
+        return later(() => send(200, 'image/svg+xml', BANNER));
+      case '/frontend/preview/email':
+        return r ? html(emailPreview(id, r, url.searchParams.get('type'))) : send(404, 'text/plain', 'not found');
+      case '/loggedin/registrant/view':
+        return r ? html(viewPage(id, r, url.searchParams.get('tab'))) : send(404, 'text/html', layout('Not found', '<h1>Registrant not found</h1>'));
+      case '/loggedin/registrant/confirmation':
+        if (!r) break;
+        return html(layout('Confirmation', `<h1>Confirmation – ${esc(r.name)}</h1>
+<iframe src="/frontend/preview/email?${qs({ eventId: EVENT_ID, id, type: '4840856' })}"></iframe>`));
+      case '/loggedin/registrant/invoice':
+        if (!r) break;
+        return html(layout('Invoice', `<h1>Invoice</h1>
+<dl><dt>Invoice #</dt><dd>${esc(r.invoice)}</dd><dt>Payment Status</dt><dd>${esc(r.payment)}</dd></dl>
+<p>Billed to ${esc(r.name)}, ${esc(r.company)}</p>
+<table><tr><th>Item</th><th>Amount</th></tr><tr><td>${esc(r.type)} pass</td><td>${esc(r.total)}</td></tr>
+<tr><th>Total</th><td>${esc(r.total)}</td></tr></table>`));
+      case '/loggedin/registrant/send-email': {
+        if (!r) break;
+        const selected = url.searchParams.get('RegistrantEmailForm[type]') || TEMPLATES[0].id;
+        const q = { eventId: EVENT_ID, id };
+        return html(layout('Send Email', `<h1>Send Email – ${esc(r.name)}</h1>
+<form method="post" action="/loggedin/registrant/send-email?${qs(q)}">
+  <select name="RegistrantEmailForm[type]" onchange="location.search = '?${qs(q)}&RegistrantEmailForm%5Btype%5D=' + this.value">
+    ${TEMPLATES.map((t) => `<option value="${t.id}"${t.id === selected ? ' selected' : ''}>${esc(t.name)}</option>`).join('')}
+  </select>
+  <button type="submit">Send</button>
+</form>
+<iframe src="/frontend/preview/email?${qs({ ...q, type: selected })}"></iframe>`));
+      }
+    }
+    send(404, 'text/html', layout('Not found', '<h1>Page not found</h1>'));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      const origin = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        origin,
+        eventId: EVENT_ID,
+        registrants: Object.keys(REGISTRANTS),
+        templates: TEMPLATES,
+        registrantUrl: (id) => `${origin}/loggedin/registrant/view?${qs({ eventId: EVENT_ID, id })}`,
+        get latency() { return state.latency; },
+        set latency(ms) { state.latency = ms; },
+        close: () => new Promise((r) => {
+          for (const t of timers) clearTimeout(t);
+          server.closeAllConnections();
+          server.close(r);
+        }),
+      });
+    });
+  });
+}
+
+module.exports = { startFixtureServer, REGISTRANTS, TEMPLATES, EVENT_ID };
+
+if (require.main === module) {
+  startFixtureServer({ port: Number(process.argv[2]) || 8787 }).then((s) => {
+    console.log(`Swoogo fixtures on ${s.origin}`);
+    for (const id of s.registrants) console.log(`  ${s.registrantUrl(id)}`);
+  });
+}
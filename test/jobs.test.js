@@ -0,0 +1,112 @@
+/**
+ * Batch job files: loadJobFile's checks and what each event's capture options come out as
+ * (no browser needed).
+ *
+ *   npm test
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadJobFile, BATCH_BLOB_NAME } = require('../lib/jobs');
+const { parseCli } = require('../lib/cli');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const jobsDir = path.join(tmp, 'jobs');
+fs.mkdirSync(path.join(jobsDir, 'lists'), { recursive: true });
+fs.writeFileSync(path.join(jobsDir, 'lists', 'gala.csv'), 'registrant_url\n');
+
+// writes the job file and loads it with `batch <file> ...argv` as the command line
+function load(job, argv = [], env = {}) {
+  const file = path.join(jobsDir, `jobs-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(file, JSON.stringify(job));
+  const { opts, given } = parseCli(['batch', file, '--sink', 'local', '--out', path.join(tmp, 'out'), ...argv], env);
+  return loadJobFile(file, opts, given, env);
+}
+
+test('relative in and sink paths are relative to the job file; out is a folder under --out', () => {
+  const [gala, expo] = load({
+    events: [
+      { eventId: '255274', in: 'lists/gala.csv', out: 'gala-2025', sink: { dir: 'zips/gala' } },
+      { eventId: 300001, status: 'registered' },
+    ],
+  });
+  assert.equal(gala.opts.in, path.join(jobsDir, 'lists', 'gala.csv'));
+  assert.equal(gala.opts.eventId, '255274');
+  assert.equal(gala.opts.event, null);
+  assert.equal(gala.opts.outDir, path.join(tmp, 'out', 'gala-2025'));
+  assert.equal(gala.opts.sinkDir, path.join(jobsDir, 'zips', 'gala'));
+
+  assert.equal(expo.eventId, '300001');
+  assert.equal(expo.opts.event, '300001');
+  assert.equal(expo.opts.in, null);
+  assert.equal(expo.opts.status, 'registered');
+  assert.equal(expo.opts.outDir, path.join(tmp, 'out', '300001'));
+  assert.equal(expo.opts.blobName, BATCH_BLOB_NAME);
+});
+
+test('per-event sink settings override the environment for that event only', () => {
+  const env = { S3_BUCKET: 'evidence', S3_REGION: 'eu-west-1' };
+  const [gala, expo] = load({
+    events: [
+      { eventId: '1', sink: { type: 's3', bucket: 'evidence-gala', prefix: '2025/gala' }, blobName: '{regId}.zip', ifExists: 'skip' },
+      { eventId: '2' },
+    ],
+  }, [], env);
+  assert.equal(gala.opts.sink, 's3');
+  assert.deepEqual(gala.opts.sinkEnv, { S3_BUCKET: 'evidence-gala', S3_PREFIX: '2025/gala', S3_REGION: 'eu-west-1' });
+  assert.equal(gala.opts.blobName, '{regId}.zip');
+  assert.equal(gala.opts.ifExists, 'skip');
+  assert.equal(expo.opts.sink, 'local');
+  assert.equal(expo.opts.sinkEnv, env);
+  assert.equal(env.S3_BUCKET, 'evidence');
+});
+
+test('--blob-name on the command line is the default for every event', () => {
+  const [e] = load({ events: [{ eventId: '1' }] }, ['--blob-name', '{runId}/{regId}.zip']);
+  assert.equal(e.opts.blobName, '{runId}/{regId}.zip');
+});
+
+test('every problem in the job file is listed', () => {
+  assert.throws(() => load({ events: [] }), /"events" must be a non-empty list/);
+  assert.throws(() => load({
+    events: [
+      { eventId: 'gala', colour: 'red' },
+      { eventId: '2', out: '../elsewhere', sink: { type: 'ftp' }, ifExists: 'replace' },
+      { eventId: '3', out: 'shared', status: '(' },
+      { eventId: '4', out: 'shared', in: 'lists/missing.csv', registeredFrom: 'last week' },
+      { eventId: '5', sink: { type: 'local', bucket: 'x' } },
+    ],
+  }), (e) => {
+    const problems = e.message.split('\n  - ').slice(1);
+    for (const want of [
+      /^events\[0\] \(gala\): unknown key "colour"/,
+      /^events\[0\] \(gala\): "eventId" must be a numeric event id/,
+      /^events\[1\] \(2\): "out" must be a folder name inside --out/,
+      /^events\[1\] \(2\): sink.type must be one of/,
+      /^events\[1\] \(2\): ifExists must be one of/,
+      /^events\[2\] \(3\): status: Invalid regular expression/,
+      /^events\[3\] \(4\): "out" shared is also used by events\[2\] \(3\)/,
+      /^events\[3\] \(4\): registeredFrom must be a date/,
+      /^events\[3\] \(4\): --in: file not found/,
+      /^events\[4\] \(5\): sink.bucket doesn't apply to local/,
+    ]) assert.ok(problems.some((p) => want.test(p)), `${want} in:\n${e.message}`);
+    return /^Invalid job file .*jobs-\w+\.json:/.test(e.message);
+  });
+});
+
+test('an event with its own registrant list takes no event filters', () => {
+  assert.throws(
+    () => load({ events: [{ eventId: '255274', in: 'lists/gala.csv', status: 'registered', regType: 'speaker' }] }),
+    /events\[0\] \(255274\): --status \/ --reg-type \/ --registered-from \/ --registered-to only apply with --event/,
+  );
+  assert.throws(
+    () => load({ events: [{ eventId: '255274', in: 'lists/gala.csv', event: '255274' }] }),
+    /events\[0\] \(255274\): unknown key "event"/,
+  );
+});
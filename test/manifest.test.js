@@ -0,0 +1,87 @@
+/**
+ * Evidence manifest: building it and verifying zips against it (no browser needed).
+ *
+ *   npm test
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+const { buildManifest, writeManifest, verifyZip, MANIFEST_FILE } = require('../lib/manifest');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-test-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// A registrant folder with two captured steps (one failed), its manifest, zipped
+function capturedZip(name) {
+  const regDir = path.join(tmp, name);
+  fs.mkdirSync(path.join(regDir, 'redacted'), { recursive: true });
+  const files = { '1001__01_Attendance.png': 'png-01', '1001__01_Attendance.mhtml': 'mhtml-01', '1001__06_Invoice.png': 'png-06' };
+  for (const [f, body] of Object.entries(files)) fs.writeFileSync(path.join(regDir, f), body);
+  fs.writeFileSync(path.join(regDir, 'redacted', '1001__01_Attendance.png'), 'redacted-01');
+  const manifest = buildManifest({
+    regId: '1001', registrantUrl: 'https://x/view?id=1001', regDir, viewport: { width: 1280, height: 900 },
+    steps: {
+      '01': { step: '01', status: 'ok', files: ['1001__01_Attendance.png', '1001__01_Attendance.mhtml', 'redacted/1001__01_Attendance.png'] },
+      '05': { step: '05', status: 'failed', files: ['1001__05_Confirmation.png'] },
+      '06': { step: '06', status: 'invalid', files: ['1001__06_Invoice.png'], degraded: true },
+      upload: { step: 'upload', status: 'ok' },
+    },
+  });
+  writeManifest(regDir, manifest);
+  const zip = new AdmZip();
+  for (const f of [...Object.keys(files), MANIFEST_FILE]) zip.addLocalFile(path.join(regDir, f));
+  return { manifest, zip, file: path.join(tmp, `${name}.zip`) };
+}
+
+test('the manifest lists every captured file of the top-level folder, and verifies', () => {
+  const { manifest, zip, file } = capturedZip('good');
+  assert.deepEqual(manifest.artifacts.map((a) => [a.step, a.file, !!a.degraded]), [
+    ['01', '1001__01_Attendance.mhtml', false],
+    ['01', '1001__01_Attendance.png', false],
+    ['06', '1001__06_Invoice.png', true],
+  ]);
+  zip.writeZip(file);
+  assert.deepEqual(verifyZip(file), { ok: true, manifest: JSON.parse(zip.readAsText(MANIFEST_FILE)), problems: [], checked: 3 });
+});
+
+test('an altered, missing or added file or an edited manifest fails verification', () => {
+  const { zip, file } = capturedZip('tampered');
+  zip.updateFile('1001__01_Attendance.png', Buffer.from('png-XX'));
+  zip.deleteFile('1001__06_Invoice.png');
+  zip.addFile('1001__99_extra.png', Buffer.from('extra'));
+  const m = JSON.parse(zip.readAsText(MANIFEST_FILE));
+  m.registrantId = '1002';
+  zip.updateFile(MANIFEST_FILE, Buffer.from(JSON.stringify(m)));
+  zip.writeZip(file);
+  assert.deepEqual(verifyZip(file).problems, [
+    'manifest hash mismatch (manifest.json was edited)',
+    '1001__01_Attendance.png: sha256 mismatch',
+    '1001__06_Invoice.png: missing from zip',
+    '1001__99_extra.png: not listed in manifest',
+  ]);
+
+  const bare = new AdmZip();
+  bare.addFile('1001__01_Attendance.png', Buffer.from('png-01'));
+  bare.writeZip(file);
+  assert.deepEqual(verifyZip(file), { ok: false, manifest: null, problems: ['manifest.json missing'], checked: 0 });
+});
+
+test('a user without a passwd entry is named from the environment', (t) => {
+  t.mock.method(os, 'userInfo', () => { throw new Error('ENOENT: no such file or directory, uv_os_get_passwd'); });
+  const { USER, USERNAME } = process.env;
+  t.after(() => {
+    for (const [k, v] of Object.entries({ USER, USERNAME })) { if (v === undefined) delete process.env[k]; else process.env[k] = v; }
+  });
+  const user = () => buildManifest({ regId: '1001', registrantUrl: 'https://x/view?id=1001', regDir: tmp, steps: {} }).capturedBy.user;
+
+  process.env.USER = 'capture-bot';
+  assert.equal(user(), 'capture-bot');
+  delete process.env.USER;
+  delete process.env.USERNAME;
+  assert.match(user(), /^uid \d+$/);
+});
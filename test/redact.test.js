@@ -0,0 +1,88 @@
+/**
+ * Redaction rules (redactDom) on a plain DOM, and what applyRedactions does with a frame it
+ * can't mask – no browser needed.
+ *
+ *   npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const { redactDom, loadRedactionProfile, applyRedactions } = require('../lib/redact');
+
+// redactDom runs inside the page; here the page is a jsdom window (no layout, so innerText is textContent)
+function redact(html, rules) {
+  const dom = new JSDOM(html, { runScripts: 'outside-only' });
+  Object.defineProperty(dom.window.HTMLElement.prototype, 'innerText', { get() { return this.textContent; } });
+  const counts = dom.window.eval(`(${redactDom})(${JSON.stringify({ selectors: [], labels: [], patterns: [], ...rules })})`);
+  return { counts: JSON.parse(JSON.stringify(counts)), html: dom.serialize(), document: dom.window.document };
+}
+
+const PAGE = `<!doctype html><html><body>
+<dl><dt>Full Name</dt><dd>Ada Lovelace</dd><dt>Phone</dt><dd>+44 20 7946 0001</dd></dl>
+<p class="note">Card: 4111 1111 1111 1111</p>
+<span data-field="home-address">12 Example Street</span>
+<form>
+  <label for="mobile">Mobile</label><input id="mobile" value="+44 7700 900123">
+  <input name="card" value="4111-1111-1111-1111">
+  <textarea name="notes">Paid with 4111 1111 1111 1111</textarea>
+  <select name="country"><option value="gb" selected>United Kingdom</option></select>
+</form>
+<a href="tel:+442079460001" title="Call +44 20 7946 0001">call</a>
+</body></html>`;
+
+test('labels, selectors and patterns mask the text and report their counts', () => {
+  const { counts, document } = redact(PAGE, {
+    selectors: ['[data-field*="address" i]'],
+    labels: ['Phone'],
+    patterns: ['\\b(?:\\d[ -]?){12,15}\\d\\b'],
+  });
+  const dd = document.querySelectorAll('dd');
+  assert.equal(dd[0].textContent, 'Ada Lovelace');
+  assert.match(dd[1].textContent, /^\+?█+( █+)*$/);
+  assert.equal(document.querySelector('[data-field]').textContent, '██ ███████ ██████');
+  assert.doesNotMatch(document.querySelector('.note').textContent, /\d/);
+  assert.deepEqual(counts.map((c) => [c.type, c.count > 0]), [['selector', true], ['label', true], ['pattern', true]]);
+});
+
+test('the serialized HTML holds no masked value (form values, textarea, links)', () => {
+  const { html } = redact(PAGE, {
+    labels: ['Mobile'],
+    patterns: ['\\b(?:\\d[ -]?){12,15}\\d\\b', '\\+?\\d{1,3}[ .-]?\\(?\\d{2,4}\\)?[ .-]?\\d{3,4}[ .-]?\\d{3,4}\\b'],
+  });
+  for (const secret of ['7700 900123', '4111', '7946', '442079460001']) assert.ok(!html.includes(secret), `${secret} still in\n${html}`);
+  assert.ok(html.includes('Ada Lovelace'));
+});
+
+test('a whole select is masked, option values included', () => {
+  const { html } = redact(PAGE, { selectors: ['select'] });
+  assert.ok(!html.includes('United Kingdom'));
+  assert.ok(!html.includes('value="gb"'));
+});
+
+test('the external profile\'s patterns mask phone and card numbers, not amounts, dates or ids', () => {
+  const { patterns } = loadRedactionProfile(path.join(__dirname, '..', 'profiles', 'redaction-external.json'));
+  const { document, counts } = redact(`<body>
+    <p id="a">Call +44 20 7946 0001 or (202) 555-0102</p>
+    <p id="b">Paid with card ending **** 4242, Visa 4111-1111-1111-1111</p>
+    <p id="c">Invoice INV-1001 of 2025-09-16: $250.00, registrant 255274</p>
+  </body>`, { patterns });
+  const text = (id) => document.getElementById(id).textContent;
+  assert.match(text('a'), /^Call [█ ]+ or \(?[█ ]+$/);
+  assert.match(text('b'), /^Paid with card ending [█ ]+, Visa █+$/);
+  assert.equal(text('c'), 'Invoice INV-1001 of 2025-09-16: $250.00, registrant 255274');
+  assert.deepEqual(counts.map((c) => c.count), [1, 1, 2]);
+});
+
+test('a frame that can\'t be masked fails the redacted copy instead of being left out', async () => {
+  const frame = (url, evaluate) => ({ url: () => url, evaluate });
+  const page = (frames) => ({ frames: () => frames });
+  const masked = frame('https://www.swoogo.com/loggedin/registrant/view?id=1001', async () => [{ type: 'label', rule: 'Phone', count: 1 }]);
+  assert.deepEqual(await applyRedactions(page([masked, masked]), { selectors: [], labels: ['Phone'], patterns: [] }),
+    [{ type: 'label', rule: 'Phone', count: 2 }]);
+  const navigating = frame('https://www.swoogo.com/frontend/preview/email', async () => { throw new Error('Execution context was destroyed, most likely because of a navigation'); });
+  await assert.rejects(applyRedactions(page([masked, navigating]), { selectors: [], labels: ['Phone'], patterns: [] }),
+    /could not redact frame https:\/\/www\.swoogo\.com\/frontend\/preview\/email – Execution context was destroyed/);
+});
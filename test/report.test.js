@@ -0,0 +1,49 @@
+/**
+ * Run report: what an encrypted run's plain-text report leaves out (no browser needed).
+ *
+ *   npm test
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { buildReport, writeReport } = require('../lib/report');
+const { validateStep } = require('../lib/validate');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'report-test-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const profile = {
+  name: 'default',
+  steps: [{ step: '01', label: 'Attendance', extract: ['name'] }],
+};
+
+// one registrant whose step 01 failed its registrant check (the page showed someone else)
+async function report(fields) {
+  const page = { frames: () => [{ evaluate: async () => 'Grace Hopper – registrant 2002' }] };
+  const validation = await validateStep(page, { registrant: true }, { regId: '1001', name: 'Ada Lovelace' });
+  const ledger = new Map([['1001', {
+    steps: { '01': { status: 'invalid', files: ['1001__01_Attendance.png'], validation, fields: { name: 'Ada Lovelace' } } },
+  }]]);
+  return buildReport({
+    runId: '20250907-142501', startedAt: '', finishedAt: '', profile, sink: null, ledger, fields,
+    entries: [{ row: 1, url: 'https://x/view?id=1001', regId: '1001' }],
+    results: new Map([[1, { outcome: 'partial' }]]),
+  });
+}
+
+test('an encrypted run\'s report names no registrant', async () => {
+  const plain = await report(true);
+  assert.deepEqual(plain.registrants[0].steps[0].failedChecks, ['registrant: none of "1001", "ada lovelace" in page text']);
+
+  const encrypted = await report(false);
+  assert.deepEqual(encrypted.registrants[0].steps[0].failedChecks, ['registrant']);
+  const dir = path.join(tmp, 'encrypted');
+  for (const f of writeReport(dir, encrypted)) {
+    assert.doesNotMatch(fs.readFileSync(f, 'utf8'), /lovelace/i, path.basename(f));
+  }
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['index.html', 'report.csv', 'report.json']);
+});
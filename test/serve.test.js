@@ -0,0 +1,113 @@
+/**
+ * serve: the HTTP API and the persistent job queue (no browser needed – jobs are only queued).
+ *
+ *   npm test
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { submitJob, createProfileResolver } = require('../capture');
+const { createApiServer } = require('../lib/api');
+const { openQueue } = require('../lib/queue');
+const { loadProfile } = require('../lib/profile');
+
+const PROFILES_DIR = path.join(__dirname, '..', 'profiles');
+
+const tmpDirs = [];
+after(() => { for (const dir of tmpDirs) fs.rmSync(dir, { recursive: true, force: true }); });
+const tmpDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'serve-test-'));
+  tmpDirs.push(dir);
+  return dir;
+};
+
+async function startApi({ token, healthy = true } = {}) {
+  const outDir = tmpDir();
+  const queue = openQueue(outDir);
+  const profileFor = createProfileResolver(PROFILES_DIR, loadProfile());
+  const server = createApiServer({
+    queue,
+    token,
+    submit: (body) => submitJob(queue, body, { eventId: '255274', profileFor }),
+    health: () => ({ ok: healthy, queue: queue.counts() }),
+  });
+  await new Promise((r) => server.listen(0, '127.0.0.1', r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, route, body, headers = {}) => {
+    const res = await fetch(base + route, {
+      method, headers: { 'Content-Type': 'application/json', ...headers }, body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  const close = () => new Promise((r) => { server.closeAllConnections(); server.close(r); });
+  return { outDir, queue, call, close };
+}
+
+test('jobs are queued, listed and looked up by id', async () => {
+  const api = await startApi();
+  try {
+    const a = await api.call('POST', '/jobs', { registrantId: '1001', reference: 'dispute-77' });
+    assert.equal(a.status, 202);
+    assert.equal(a.body.status, 'queued');
+    assert.equal(a.body.regId, '1001');
+    assert.match(a.body.registrantUrl, /eventId=255274&id=1001/);
+
+    const b = await api.call('POST', '/jobs', { url: 'https://www.swoogo.com/loggedin/registrant/view?eventId=1&id=42', profile: 'default' });
+    assert.equal(b.status, 202);
+
+    const one = await api.call('GET', `/jobs/${a.body.id}`);
+    assert.equal(one.body.reference, 'dispute-77');
+    const all = await api.call('GET', '/jobs?status=queued');
+    assert.deepEqual(all.body.jobs.map((j) => j.id), [b.body.id, a.body.id]);
+    assert.equal(all.body.counts.queued, 2);
+    assert.equal((await api.call('GET', '/jobs/nope')).status, 404);
+  } finally {
+    await api.close();
+  }
+});
+
+test('bad jobs are rejected with every problem listed', async () => {
+  const api = await startApi();
+  try {
+    const r = await api.call('POST', '/jobs', { registrantId: 'abc', url: 'ftp://x', profile: '../secrets', colour: 'red' });
+    assert.equal(r.status, 400);
+    assert.equal(r.body.problems.length, 5, r.body.problems.join('\n'));
+    const missing = await api.call('POST', '/jobs', { profile: 'no-such-profile' });
+    assert.ok(missing.body.problems.some((p) => /not found/.test(p)));
+    // an oversized body gets the error, not a reset connection
+    const big = await api.call('POST', '/jobs', { registrantId: '1001', reference: 'x'.repeat(1024 * 1024) });
+    assert.deepEqual(big, { status: 400, body: { error: 'body over 65536 bytes' } });
+    assert.equal(api.queue.counts().queued, 0);
+  } finally {
+    await api.close();
+  }
+});
+
+test('token and health', async () => {
+  const api = await startApi({ token: 's3cret', healthy: false });
+  try {
+    assert.equal((await api.call('GET', '/health')).status, 503);
+    assert.equal((await api.call('GET', '/jobs')).status, 401);
+    assert.equal((await api.call('GET', '/jobs', undefined, { Authorization: 'Bearer s3cret' })).status, 200);
+  } finally {
+    await api.close();
+  }
+});
+
+test('the queue survives a restart; interrupted jobs are queued again', () => {
+  const outDir = tmpDir();
+  const q1 = openQueue(outDir);
+  const a = q1.add({ regId: '1', registrantUrl: 'https://x/view?id=1' });
+  const b = q1.add({ regId: '2', registrantUrl: 'https://x/view?id=2' });
+  q1.update(a.id, { status: 'done', blobUrl: 'file:///zips/1.zip' });
+  q1.update(b.id, { status: 'running' });
+
+  const q2 = openQueue(outDir);
+  assert.equal(q2.get(a.id).blobUrl, 'file:///zips/1.zip');
+  assert.equal(q2.get(b.id).status, 'queued');
+  assert.equal(q2.get(b.id).requeued, 1);
+});
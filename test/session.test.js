@@ -0,0 +1,49 @@
+/**
+ * Session guard: what counts as an expired session, and a re-login that fails (no browser
+ * needed – pages and responses are stand-ins).
+ *
+ *   npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+const { createSessionGuard, isLoginPage, SessionExpiredError } = require('../lib/session');
+const { withRetry } = require('../lib/retry');
+
+const page = (url) => ({ url: () => url });
+const status = (code) => ({ status: () => code });
+
+test('only a login redirect or a 401 is an expired session', () => {
+  assert.equal(isLoginPage(page('https://www.swoogo.com/login?next=%2Floggedin'), status(200)), true);
+  assert.equal(isLoginPage(page('https://www.swoogo.com/loggedin/registrant/view?id=1'), status(401)), true);
+  assert.equal(isLoginPage(page('https://www.swoogo.com/loggedin/registrant/view?id=1'), status(403)), false);
+  assert.equal(isLoginPage(page('https://www.swoogo.com/loggedin/user/change-password'), status(200)), false);
+  assert.equal(isLoginPage(page('about:blank'), null), false);
+});
+
+test('a failed re-login stops instead of being retried', async () => {
+  let logins = 0;
+  const guard = createSessionGuard({
+    authPath: path.join(os.tmpdir(), 'no-such-auth.json'),
+    relogin: async () => { logins++; throw new Error('login window closed'); },
+    contexts: () => [],
+  });
+  let attempts = 0;
+  await assert.rejects(
+    withRetry('goto /loggedin', async () => { attempts++; return guard.check(page('https://www.swoogo.com/login'), status(200)); }, { attempts: 3, baseDelay: 1 }),
+    (e) => e instanceof SessionExpiredError && /Re-login failed: login window closed/.test(e.message),
+  );
+  assert.equal(attempts, 1);
+  assert.equal(logins, 1);
+  await guard.ready(); // a failed re-login doesn't leave navigation waiting
+});
+
+test('--no-interactive: an expired session throws straight away', async () => {
+  const guard = createSessionGuard({ authPath: path.join(os.tmpdir(), 'no-such-auth.json'), interactive: false, relogin: async () => assert.fail('no login'), contexts: () => [] });
+  assert.equal(await guard.check(page('https://www.swoogo.com/loggedin/x'), status(200)), false);
+  await assert.rejects(guard.check(page('https://www.swoogo.com/x'), status(401)), (e) => e instanceof SessionExpiredError
+    && e.message.endsWith(`log in again with "node capture.js login --auth ${path.join(os.tmpdir(), 'no-such-auth.json')}"`));
+});
@@ -0,0 +1,44 @@
+/**
+ * Storage sinks: blob names from --blob-name and what --if-exists does with a name that is
+ * taken, on the local sink (no browser needed).
+ *
+ *   npm test
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createSink, resolveBlobName, expandBlobName, checkBlobTemplate } = require('../lib/sinks');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'sinks-test-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const zip = path.join(tmp, 'registrant.zip');
+fs.writeFileSync(zip, 'zip');
+
+test('--if-exists: version, skip or overwrite a blob name that is taken', async () => {
+  const sink = createSink('local', { dir: path.join(tmp, 'zips') });
+  assert.deepEqual(await resolveBlobName(sink, '255274/1001.zip', 'version'), { blobName: '255274/1001.zip', skip: false });
+  await sink.upload(zip, '255274/1001.zip');
+  assert.deepEqual(await resolveBlobName(sink, '255274/1001.zip', 'version'), { blobName: '255274/1001.v2.zip', skip: false });
+  await sink.upload(zip, '255274/1001.v2.zip');
+  assert.deepEqual(await resolveBlobName(sink, '255274/1001.zip', 'version'), { blobName: '255274/1001.v3.zip', skip: false });
+  assert.deepEqual(await resolveBlobName(sink, '255274/1001.zip', 'skip'), { blobName: '255274/1001.zip', skip: true });
+  assert.deepEqual(await resolveBlobName(sink, '255274/1001.zip', 'overwrite'), { blobName: '255274/1001.zip', skip: false });
+
+  await sink.upload(zip, '1002.zip.enc');
+  assert.deepEqual(await resolveBlobName(sink, '1002.zip.enc', 'version'), { blobName: '1002.v2.zip.enc', skip: false });
+});
+
+test('blob name templates', () => {
+  const vars = { eventId: '255274', regId: '1001', runId: '20250907-142501', date: '2025-09-07', profile: 'gala/2025' };
+  assert.equal(expandBlobName('{eventId}/{regId}/{runId}.zip', vars), '255274/1001/20250907-142501.zip');
+  assert.equal(expandBlobName('{date}/{profile}/{regId}.zip', vars), '2025-09-07/gala_2025/1001.zip');
+  assert.equal(expandBlobName('{eventId}/{regId}.zip', { regId: '1001' }), 'unknown/1001.zip');
+  assert.deepEqual(checkBlobTemplate('{eventId}/{regId}.zip'), []);
+  assert.deepEqual(checkBlobTemplate('{event}/{regId}.zip'), ['--blob-name: unknown placeholder {event} (use {eventId}, {regId}, {runId}, {date}, {profile})']);
+  assert.deepEqual(checkBlobTemplate('../{regId}.zip'), ['--blob-name must be a relative name without ".."']);
+});